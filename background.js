@@ -3,339 +3,1195 @@
  * Handles periodic update checks and notifications
  */
 
+importScripts(
+  'parsers/base.js',
+  'parsers/rawkuma.js',
+  'parsers/senmanga.js',
+  'parsers/index.js',
+  'utils/request-queue.js',
+  'utils/cadence.js',
+  'utils/schedule.js',
+  'utils/webhooks.js',
+  'utils/history-db.js',
+  'utils/migrations.js',
+  'utils/storage.js'
+);
+
 const ALARM_NAME = 'manga-update-check';
-const DEFAULT_CHECK_INTERVAL = 60; // minutes
+// Fires while a check run is unfinished, waking the worker to resume it
+const RESUME_ALARM_NAME = 'manga-update-resume';
+// Fires when quiet hours end, to send what was held back
+const QUIET_HOURS_ALARM_NAME = 'quiet-hours-end';
+// Fires when the next failed webhook delivery is due for a retry
+const WEBHOOK_ALARM_NAME = 'webhook-retry';
+// Fires when the earliest snoozed update should come back
+const SNOOZE_ALARM_NAME = 'snooze-end';
+
+// All parser requests go through one queue so limits hold across checks
+const requestQueue = new RequestQueue();
+BaseSiteParser.fetcher = (url) => requestQueue.fetch(url);
+
+// Scripts injected on the manga and chapter pages of every enabled site
+const CONTENT_SCRIPT_FILES = [
+  'parsers/base.js',
+  'parsers/rawkuma.js',
+  'parsers/senmanga.js',
+  'parsers/index.js',
+  'content.js',
+  'content-chapter.js'
+];
+const CONTENT_SCRIPT_ID_PREFIX = 'site-';
+
+// ============= History Functions =============
 
-// Storage keys
-const STORAGE_KEYS = {
-  MANGAS: 'mangas',
-  SETTINGS: 'settings',
-  UPDATES: 'updates'
-};
+/**
+ * Re-estimate a manga's release cadence from its history
+ * @param {string} id - Manga ID
+ */
+async function refreshCadence(id) {
+  const history = await getMangaHistory(id);
+  const cadence = estimateCadence(history.map(entry => entry.detectedAt));
+  await updateManga(id, { cadence });
+}
 
-const DEFAULT_SETTINGS = {
-  checkInterval: 60,
-  notificationsEnabled: true
-};
+/**
+ * Drop history entries outside the retention settings
+ * @param {Object} settings - Current settings
+ */
+async function applyHistoryRetention(settings) {
+  const deleted = await pruneHistory({
+    maxAgeDays: settings.historyRetentionDays,
+    maxEntries: settings.historyMaxEntries
+  });
+  if (deleted > 0) {
+    console.log(`Pruned ${deleted} history entries`);
+  }
+}
+
+// ============= Chapter Functions =============
 
-// ============= Storage Functions =============
+/**
+ * Merge a freshly fetched chapter list into the stored one
+ * @param {Array} known - Stored chapters, newest first
+ * @param {Array} fetched - Fetched chapters, newest first
+ * @param {boolean} complete - Whether fetched reaches the first chapter
+ * @returns {{chapters: Array, added: Array, removed: Array}}
+ */
+function mergeChapters(known, fetched, complete) {
+  const fetchedUrls = new Set(fetched.map(ch => ch.url));
+  const knownUrls = new Set(known.map(ch => ch.url));
+
+  // Only chapters inside the fetched range can be judged missing
+  const oldestFetchedNum = fetched.length > 0 ? fetched[fetched.length - 1].num : Infinity;
+  const inFetchedRange = (ch) => complete || ch.num >= oldestFetchedNum;
 
-async function getMangas() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.MANGAS);
-  return result[STORAGE_KEYS.MANGAS] || {};
+  const removed = known.filter(ch => inFetchedRange(ch) && !fetchedUrls.has(ch.url));
+  const added = fetched.filter(ch => !knownUrls.has(ch.url));
+  const kept = known.filter(ch => !inFetchedRange(ch));
+
+  const chapters = [...fetched, ...kept].sort((a, b) => b.num - a.num);
+  return { chapters, added, removed };
 }
 
-async function getManga(id) {
-  const mangas = await getMangas();
-  return mangas[id] || null;
+// ============= Reading Progress Functions =============
+
+/**
+ * Mark chapters read and move the reading progress past them
+ * Progress only advances through consecutive read chapters, so reading
+ * ahead doesn't count the skipped chapters as read.
+ * @param {string} id - Manga ID
+ * @param {number|number[]} [chapterNums] - Only these chapters; every chapter without
+ */
+async function markMangaRead(id, chapterNums) {
+  await markHistoryRead(id, chapterNums);
+
+  if (chapterNums === undefined) {
+    await updateManga(id, (manga) => ({ isRead: true, lastReadChapterNum: manga.latestChapterNum }));
+  } else {
+    const history = await getMangaHistory(id);
+    const chapters = await getChapters(id);
+    const readNums = new Set([
+      ...[].concat(chapterNums),
+      ...history.filter(entry => entry.isRead).map(entry => entry.chapterNum)
+    ]);
+    const allNums = [...new Set([
+      ...chapters.map(ch => ch.num),
+      ...history.map(entry => entry.chapterNum),
+      ...readNums
+    ])].filter(num => typeof num === 'number').sort((a, b) => a - b);
+
+    await updateManga(id, (manga) => {
+      let progress = manga.lastReadChapterNum ?? 0;
+      for (const num of allNums) {
+        if (num <= progress) continue;
+        if (!readNums.has(num)) break;
+        progress = num;
+      }
+      return { lastReadChapterNum: progress, isRead: progress >= manga.latestChapterNum };
+    });
+  }
+  await updateBadge();
 }
 
-async function saveManga(manga) {
-  const mangas = await getMangas();
-  const id = `${manga.site}:${manga.slug}`;
-  mangas[id] = manga;
-  await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
+/**
+ * Set the reading progress to any chapter, backwards or forwards
+ * @param {string} id - Manga ID
+ * @param {number} chapterNum - Last read chapter
+ * @returns {Promise<Object|null>} The updated manga, null if it doesn't exist
+ */
+async function setReadingProgress(id, chapterNum) {
+  await setHistoryProgress(id, chapterNum);
+  const manga = await updateManga(id, (stored) => ({
+    lastReadChapterNum: chapterNum,
+    isRead: chapterNum >= stored.latestChapterNum
+  }));
+  await updateBadge();
+  return manga;
 }
 
-async function deleteManga(id) {
-  const mangas = await getMangas();
-  delete mangas[id];
-  await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
+/**
+ * Find the first chapter after the reading progress
+ * @param {string} id - Manga ID
+ * @returns {Promise<Object|null>} The chapter, null if the manga is caught up
+ */
+async function getNextUnreadChapter(id) {
+  const manga = await getManga(id);
+  if (!manga) return null;
+
+  const lastRead = manga.lastReadChapterNum ?? manga.latestChapterNum;
+  const chapters = await getChapters(id);
+  const unread = chapters.filter(ch => ch.num > lastRead);
+  return unread.length > 0 ? unread[unread.length - 1] : null;
+}
 
-  const updates = await getUpdates();
-  const filteredUpdates = updates.filter(u => u.id !== id);
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: filteredUpdates });
+/**
+ * Find the tracked manga and stored chapter a chapter page belongs to
+ * @param {string} url - Chapter page URL
+ * @returns {Promise<Object|null>} `{id, title, chapter}`, null when the manga
+ *   isn't tracked or the chapter isn't in its stored list
+ */
+async function findChapterByUrl(url) {
+  const parser = getParserForChapterUrl(url);
+  const slug = parser?.extractChapterSlug(url);
+  if (!slug) return null;
+
+  const id = parser.generateId(slug);
+  const manga = await getManga(id);
+  if (!manga) return null;
+
+  // Compare paths; later pages of a chapter extend the chapter's URL
+  const toPath = (href) => new URL(href).pathname.replace(/\/$/, '');
+  const path = toPath(url);
+  const chapters = await getChapters(id);
+  const chapter = chapters.find(ch => path === toPath(ch.url) || path.startsWith(`${toPath(ch.url)}/`));
+  return chapter ? { id, title: manga.title, chapter } : null;
 }
 
-async function updateManga(id, updates) {
-  const mangas = await getMangas();
-  if (mangas[id]) {
-    mangas[id] = { ...mangas[id], ...updates };
-    await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
+// ============= Update Check Functions =============
+
+async function checkMangaForUpdate(manga) {
+  try {
+    const parser = getParserById(manga.site);
+    if (!parser) {
+      throw new Error(`No parser registered for site "${manga.site}"`);
+    }
+    if (!await hasSiteAccess(parser)) {
+      throw new Error(`Site access not granted for ${parser.siteName}`);
+    }
+
+    // Page through the chapter list only until we reach chapters we already have
+    const id = `${manga.site}:${manga.slug}`;
+    const known = await getChapters(id);
+    const knownUrls = new Set(known.map(ch => ch.url));
+    const newInfo = await parser.fetchMangaInfo(manga.url, {
+      isKnownChapter: (ch) => knownUrls.has(ch.url)
+    });
+
+    const { chapters, added, removed } = mergeChapters(known, newInfo.chapters, newInfo.chaptersComplete);
+    if (chapters.length > 0) {
+      await saveChapters(id, chapters);
+    }
+    if (removed.length > 0 && newInfo.chapters.length > 0) {
+      console.log(`${manga.title}: ${removed.length} chapter(s) no longer listed:`, removed.map(ch => ch.title));
+    }
+
+    // Compare chapter numbers
+    const hasUpdate = newInfo.latestChapterNum > manga.latestChapterNum;
+
+    if (hasUpdate) {
+      return {
+        hasUpdate: true,
+        newChapter: newInfo.latestChapter,
+        newChapterNum: newInfo.latestChapterNum,
+        newChapterUrl: newInfo.latestChapterUrl,
+        newChapters: added.filter(ch => ch.num > manga.latestChapterNum),
+        removedChapters: removed,
+        lastUpdated: newInfo.lastUpdated,
+        altTitles: newInfo.altTitles
+      };
+    }
+
+    return { hasUpdate: false, removedChapters: removed, lastUpdated: newInfo.lastUpdated, altTitles: newInfo.altTitles };
+  } catch (error) {
+    console.error(`Failed to check update for ${manga.title}:`, error);
+    return { hasUpdate: false, error: error.message, siteError: isSiteError(error) };
   }
 }
 
-async function mangaExists(id) {
-  const mangas = await getMangas();
-  return id in mangas;
-}
+// Error kinds set by the request queue and fetchHtml that point at the site
+const SITE_ERROR_KINDS = ['network', 'timeout', 'server'];
 
-async function getSettings() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
-  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] };
+/**
+ * Whether a failed check points at the site rather than the one manga
+ * Only network errors, timeouts, 5xx and 429 do; 4xx mean the manga's page
+ * is gone or moved, and errors without a kind come from parsing or setup.
+ * @param {Error} error - Error thrown while checking
+ * @returns {boolean}
+ */
+function isSiteError(error) {
+  return SITE_ERROR_KINDS.includes(error.kind);
 }
 
-async function saveSettings(settings) {
-  const current = await getSettings();
-  await chrome.storage.local.set({
-    [STORAGE_KEYS.SETTINGS]: { ...current, ...settings }
+function configureRequestQueue(settings) {
+  requestQueue.configure({
+    concurrency: settings.maxConcurrency,
+    delayMs: settings.requestDelay,
+    maxRetries: settings.maxRetries,
+    timeoutMs: settings.requestTimeout
   });
 }
 
-async function getUpdates() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.UPDATES);
-  return result[STORAGE_KEYS.UPDATES] || [];
+// The run in progress in this worker; a second caller joins it instead of
+// starting another run
+let activeCheckRun = null;
+
+/**
+ * Check all manga for updates, or resume the run a killed worker left behind
+ * @param {Object} [options]
+ * @param {boolean} [options.dueOnly] - Only manga whose check tier is due
+ * @returns {Promise<void>}
+ */
+function checkAllMangasForUpdates({ dueOnly = false } = {}) {
+  if (!activeCheckRun) {
+    activeCheckRun = runCheckJob(dueOnly).finally(() => {
+      activeCheckRun = null;
+    });
+  }
+  return activeCheckRun;
 }
 
-async function addUpdate(update) {
-  const updates = await getUpdates();
-  const existingIndex = updates.findIndex(u => u.id === update.id);
+async function runCheckJob(dueOnly) {
+  const mangas = await getMangas();
+  const settings = await getSettings();
+
+  // Manga of sites turned off in the options sit out rather than fail
+  const checkableSites = await getCheckableSites(settings);
 
-  if (existingIndex >= 0) {
-    updates[existingIndex] = update;
+  // A stored job means the previous run never finished: pick up its cursor
+  let job = await getCheckJob();
+  if (job) {
+    console.log(`Resuming check run from ${new Date(job.startedAt).toLocaleString()}: ${job.pending.length} of ${job.total} manga(s) left`);
   } else {
-    updates.unshift(update);
+    // Paused manga (auto-paused after repeated failures) sit out until retried
+    const now = Date.now();
+    const ids = Object.keys(mangas).filter(id =>
+      checkableSites.has(mangas[id].site) &&
+      !mangas[id].paused && (!dueOnly || isCheckDue(mangas[id], settings, now))
+    );
+    if (ids.length === 0) {
+      console.log(dueOnly ? 'No mangas due for a check' : 'No mangas to check');
+      await updateBadge(); // keeps "last checked" in the title current
+      return;
+    }
+    job = {
+      id: Date.now(),
+      startedAt: Date.now(),
+      total: ids.length,
+      pending: ids,
+      updatedCount: 0,
+      siteResults: {}, // site -> { checked, failed, siteFailed }
+      notifications: [] // held back for a digest until the run ends
+    };
+    await saveCheckJob(job);
+    console.log(`Checking ${ids.length} manga(s) for updates...`);
+  }
+
+  await chrome.alarms.create(RESUME_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: 1 });
+  configureRequestQueue(settings);
+
+  // In digest mode notifications wait for the end of the run, when we know
+  // how many series updated
+  job.notifications = job.notifications || [];
+  job.siteResults = job.siteResults || {};
+  const heldNotifications = settings.digestEnabled ? job.notifications : null;
+
+  // Checks run in parallel (the request queue paces each site), but their
+  // results are written one at a time so storage writes don't interleave.
+  // Each written result also advances the job's cursor.
+  let writes = Promise.resolve();
+  await Promise.all(job.pending.map(async (id) => {
+    const manga = mangas[id];
+    const result = manga && checkableSites.has(manga.site) ? await checkMangaForUpdate(manga) : null;
+
+    writes = writes
+      .then(async () => {
+        if (result) {
+          const siteResult = job.siteResults[manga.site] || (job.siteResults[manga.site] = { checked: 0, failed: 0, siteFailed: 0 });
+          siteResult.checked++;
+          if (result.error) siteResult.failed++;
+          if (result.siteError) siteResult.siteFailed = (siteResult.siteFailed || 0) + 1;
+        }
+        if (result && await applyCheckResult(manga, result, settings, heldNotifications)) {
+          job.updatedCount++;
+        }
+      })
+      .catch(error => console.error(`Failed to save check result for ${id}:`, error))
+      .then(() => {
+        job.pending = job.pending.filter(pendingId => pendingId !== id);
+        return saveCheckJob(job);
+      });
+    await writes;
+  }));
+
+  // Every result is written, so the run is over even if delivery fails;
+  // a job left stored would be "resumed" by every later wake instead of a
+  // fresh run starting
+  try {
+    await deliverNotifications(job.notifications, settings);
+    await processWebhookQueue();
+  } catch (error) {
+    console.error('Failed to deliver check run notifications:', error);
   }
+  await saveLastCheckRun(summarizeCheckRun(job));
+  await clearCheckJob();
+  await chrome.alarms.clear(RESUME_ALARM_NAME);
+  await applyHistoryRetention(settings);
 
-  const trimmed = updates.slice(0, 100);
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: trimmed });
+  // Update badge
+  await updateBadge();
+
+  console.log(`Update check complete. ${job.updatedCount} manga(s) updated.`);
 }
 
-async function getUnreadCount() {
-  const updates = await getUpdates();
-  return updates.filter(u => !u.isRead).length;
+/**
+ * Outcome of a finished run, for the badge
+ * @param {Object} job - Check job
+ * @returns {Object} `{finishedAt, checked, failed, downSites}`
+ */
+function summarizeCheckRun(job) {
+  const siteResults = Object.entries(job.siteResults);
+  return {
+    finishedAt: Date.now(),
+    checked: siteResults.reduce((sum, [, result]) => sum + result.checked, 0),
+    failed: siteResults.reduce((sum, [, result]) => sum + result.failed, 0),
+    // A site where every check failed on the network or the server is
+    // probably down; a 404 only says one manga is gone
+    downSites: siteResults.filter(([, result]) => result.siteFailed === result.checked).map(([site]) => site)
+  };
 }
 
-// ============= Parser Functions =============
+/**
+ * Check a single manga right away, lifting an automatic pause
+ * @param {string} id - Manga ID
+ * @returns {Promise<Object>} Check result
+ */
+async function retryManga(id) {
+  // Let a running check finish so its writes don't race this one
+  if (activeCheckRun) {
+    await activeCheckRun;
+  }
 
-function extractChapterNumber(chapterStr) {
-  if (!chapterStr) return 0;
-  const match = chapterStr.match(/(\d+(?:\.\d+)?)/);
-  return match ? parseFloat(match[1]) : 0;
-}
+  const manga = await updateManga(id, { paused: false });
+  if (!manga) {
+    throw new Error('Manga not found');
+  }
 
-async function fetchMangaInfo(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch: ${response.status}`);
+  const settings = await getSettings();
+  configureRequestQueue(settings);
+  const result = await checkMangaForUpdate(manga);
+  await applyCheckResult(manga, result, settings);
+  await processWebhookQueue();
+
+  // A working check shows the site is back up
+  const lastRun = await getLastCheckRun();
+  if (!result.error && lastRun?.downSites.includes(manga.site)) {
+    await saveLastCheckRun({ ...lastRun, downSites: lastRun.downSites.filter(site => site !== manga.site) });
   }
 
-  const html = await response.text();
+  await updateBadge();
+  return result;
+}
 
-  // Extract manga slug from URL
-  const slugMatch = url.match(/\/manga\/([^\/]+)\/?$/);
-  const slug = slugMatch ? slugMatch[1] : '';
+/**
+ * Resume a run left unfinished by a worker that was shut down
+ */
+async function resumeInterruptedCheck() {
+  if (activeCheckRun) return;
 
-  // Title - extract from <title> tag (format: "Manga Name - Rawkuma")
-  let title = 'Unknown';
-  const titleMatch = html.match(/<title>([^<]+)<\/title>/i);
-  if (titleMatch) {
-    // Remove " - Rawkuma" suffix
-    title = titleMatch[1].replace(/\s*-\s*Rawkuma\s*$/i, '').trim();
+  if (await getCheckJob()) {
+    await checkAllMangasForUpdates();
+  } else {
+    await chrome.alarms.clear(RESUME_ALARM_NAME);
   }
+}
 
-  // Thumbnail - extract og:image meta tag (more reliable)
-  let thumbnail = '';
-  const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i);
-  if (ogImageMatch) {
-    thumbnail = ogImageMatch[1];
-  }
+/**
+ * Store the outcome of one manga check and notify about new chapters
+ * @param {Array|null} [heldNotifications] - Collect notifications here instead of sending them
+ * @returns {Promise<boolean>} Whether the manga had an update
+ */
+async function applyCheckResult(manga, result, settings, heldNotifications = null) {
+  const id = `${manga.site}:${manga.slug}`;
 
-  // Extract manga_id for API call
-  const mangaIdMatch = html.match(/manga_id[=:](\d+)/);
-  const mangaId = mangaIdMatch ? mangaIdMatch[1] : null;
+  if (result.error) {
+    // Count from the stored manga, not the snapshot taken when the run started
+    let pausedNow = false;
+    const updated = await updateManga(id, (stored) => {
+      const failureCount = (stored.failureCount || 0) + 1;
+      const shouldPause = settings.autoPauseAfter > 0 && failureCount >= settings.autoPauseAfter;
+      pausedNow = shouldPause && !stored.paused;
+      return {
+        lastChecked: Date.now(),
+        lastError: result.error,
+        lastErrorAt: Date.now(),
+        failureCount,
+        paused: shouldPause || !!stored.paused
+      };
+    });
+    if (pausedNow) {
+      console.log(`Paused ${manga.title} after ${updated.failureCount} failed checks`);
+    }
+    return false;
+  }
 
-  let latestChapter = '';
-  let latestChapterNum = 0;
-  let latestChapterUrl = '';
-  let lastUpdated = '';
+  // Update last checked time and clear any failure streak
+  await updateManga(id, {
+    lastChecked: Date.now(),
+    lastUpdated: result.lastUpdated || manga.lastUpdated,
+    // Manga added before alternative titles were collected pick them up here
+    altTitles: result.altTitles?.length ? result.altTitles : manga.altTitles || [],
+    lastSuccessAt: Date.now(),
+    lastError: null,
+    failureCount: 0
+  });
 
-  // Fetch chapter list from API if manga_id is available
-  if (mangaId) {
-    try {
-      const apiUrl = `https://rawkuma.net/wp-admin/admin-ajax.php?manga_id=${mangaId}&page=1&action=chapter_list`;
-      const apiResponse = await fetch(apiUrl);
-      if (apiResponse.ok) {
-        const chapterHtml = await apiResponse.text();
-
-        // Extract first (latest) chapter number from data-chapter-number attribute
-        const chapterNumMatch = chapterHtml.match(/data-chapter-number=["'](\d+)["']/);
-        if (chapterNumMatch) {
-          latestChapterNum = parseInt(chapterNumMatch[1], 10);
-          latestChapter = `Chapter ${chapterNumMatch[1]}`;
-        }
+  if (result.hasUpdate) {
+    // Update manga with new chapter info
+    await updateManga(id, {
+      latestChapter: result.newChapter,
+      latestChapterNum: result.newChapterNum,
+      latestChapterUrl: result.newChapterUrl,
+      isRead: false
+    });
 
-        // Extract chapter URL
-        const chapterUrlMatch = chapterHtml.match(/href=["']([^"']*\/chapter-[^"']*)["']/);
-        if (chapterUrlMatch) {
-          latestChapterUrl = chapterUrlMatch[1].trim();
-          if (!latestChapterUrl.startsWith('http')) {
-            latestChapterUrl = `https://rawkuma.net${latestChapterUrl}`;
-          }
-        }
+    // One history entry per new chapter, so a 40 -> 43 jump shows 41, 42 and 43
+    const newChapters = result.newChapters.length > 0
+      ? result.newChapters
+      : [{ num: result.newChapterNum, title: result.newChapter, url: result.newChapterUrl }];
+    const detectedAt = Date.now();
+    await addHistoryEntries(newChapters.map(chapter => ({
+      id,
+      site: manga.site,
+      slug: manga.slug,
+      title: manga.title,
+      thumbnail: manga.thumbnail,
+      url: manga.url,
+      newChapter: chapter.title,
+      chapterNum: chapter.num,
+      chapterUrl: chapter.url,
+      detectedAt,
+      isRead: false
+    })));
+    await refreshCadence(id);
+
+    // With a threshold, chapters pile up silently until enough are unread
+    const unreadChapterNums = (await getMangaHistory(id))
+      .filter(entry => !entry.isRead)
+      .map(entry => entry.chapterNum);
+    const notifyThreshold = manga.notifyThreshold || DEFAULT_NOTIFY_THRESHOLD;
+    const thresholdCrossed = notifyThreshold <= 1 || (
+      unreadChapterNums.length >= notifyThreshold &&
+      unreadChapterNums.length - newChapters.length < notifyThreshold
+    );
+    const shouldNotify = manga.notifyEnabled && thresholdCrossed;
+
+    // Webhooks follow the per-manga settings, not desktop notification settings
+    if (shouldNotify) {
+      await queueWebhookDeliveries({
+        mangaId: id,
+        site: manga.site,
+        title: manga.title,
+        chapter: result.newChapter,
+        chapterNum: result.newChapterNum,
+        chapterUrl: result.newChapterUrl || manga.url,
+        chapterCount: notifyThreshold > 1 ? unreadChapterNums.length : newChapters.length,
+        mangaUrl: manga.url,
+        cover: manga.thumbnail || null,
+        detectedAt
+      }, settings);
+    }
 
-        // Extract last updated time from first chapter
-        const timeMatch = chapterHtml.match(/<time[^>]*>([^<]+)<\/time>/);
-        if (timeMatch) {
-          lastUpdated = timeMatch[1].trim();
-        }
+    // Send notification if enabled
+    if (settings.notificationsEnabled && shouldNotify) {
+      const item = {
+        id,
+        newChapter: result.newChapter,
+        chapterNum: result.newChapterNum,
+        chapterUrl: result.newChapterUrl,
+        // Past a threshold the notification covers the whole pile
+        chapterNums: notifyThreshold > 1 ? unreadChapterNums : newChapters.map(chapter => chapter.num)
+      };
+      if (heldNotifications) {
+        heldNotifications.push(item);
+      } else {
+        await deliverNotifications([item], settings);
       }
-    } catch (apiError) {
-      console.error('Failed to fetch chapter list API:', apiError);
     }
   }
 
-  // Fallback: try to extract from main page if API failed
-  if (!latestChapterNum) {
-    const chapterLinkMatch = html.match(/<a[^>]+href=["']([^"']*\/chapter-(\d+)[^"']*)["'][^>]*>/i);
-    if (chapterLinkMatch) {
-      latestChapterUrl = chapterLinkMatch[1].trim();
-      if (!latestChapterUrl.startsWith('http')) {
-        latestChapterUrl = new URL(latestChapterUrl, url).href;
+  return !!result.hasUpdate;
+}
+
+// ============= Tag Functions =============
+
+/**
+ * Clean up user-entered tags: trimmed, lower case, no duplicates
+ * @param {string[]} tags - Tags as entered
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => String(tag).trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Add and remove tags on one or more manga
+ * @param {string[]} ids - Manga IDs
+ * @param {string[]} [add] - Tags to add
+ * @param {string[]} [remove] - Tags to remove
+ */
+async function tagMangas(ids, add = [], remove = []) {
+  const added = normalizeTags(add);
+  const removed = new Set(normalizeTags(remove));
+
+  await updateMangas((mangas) => {
+    for (const id of ids) {
+      const manga = mangas[id];
+      if (!manga) continue;
+      manga.tags = normalizeTags([...(manga.tags || []), ...added]).filter(tag => !removed.has(tag));
+    }
+  });
+}
+
+// ============= Batch Functions =============
+
+const BATCH_ACTIONS = ['delete', 'mute', 'unmute', 'markRead', 'setTier', 'export'];
+
+/**
+ * Change several manga in one storage write
+ * @param {string[]} ids - Manga IDs; unknown ones are skipped
+ * @param {Function} change - Edits one manga in place
+ */
+async function updateMangasById(ids, change) {
+  await updateMangas((mangas) => {
+    for (const id of ids) {
+      if (mangas[id]) change(mangas[id]);
+    }
+  });
+}
+
+/**
+ * Apply one action to a selection of manga
+ * @param {string[]} ids - Manga IDs
+ * @param {string} action - One of BATCH_ACTIONS
+ * @param {Object} [options] - `tier` for setTier
+ * @returns {Promise<Object|null>} Backup data for export, null otherwise
+ */
+async function runBatchAction(ids, action, options = {}) {
+  switch (action) {
+    case 'delete':
+      await deleteMangas(ids);
+      break;
+
+    case 'mute':
+    case 'unmute':
+      await updateMangasById(ids, (manga) => {
+        manga.notifyEnabled = action === 'unmute';
+      });
+      break;
+
+    case 'markRead':
+      for (const id of ids) {
+        await markHistoryRead(id);
       }
-      const numMatch = latestChapterUrl.match(/\/chapter-(\d+)/i);
-      if (numMatch) {
-        latestChapterNum = parseInt(numMatch[1], 10);
-        latestChapter = `Chapter ${numMatch[1]}`;
+      await updateMangasById(ids, (manga) => {
+        manga.isRead = true;
+        manga.lastReadChapterNum = manga.latestChapterNum;
+      });
+      break;
+
+    case 'setTier':
+      await updateMangasById(ids, (manga) => {
+        manga.checkTier = options.tier;
+      });
+      break;
+
+    case 'export':
+      return exportData(ids);
+  }
+
+  await updateBadge();
+  return null;
+}
+
+// ============= Notification Functions =============
+
+const DEFAULT_NOTIFICATION_ICON = 'icons/icon128.png';
+const UPDATE_NOTIFICATION_PREFIX = 'manga-update-';
+const DIGEST_NOTIFICATION_PREFIX = 'manga-digest-';
+
+// Order of the buttons on an update notification. Chrome allows two, so
+// clicking the notification itself offers the snooze options
+const NOTIFICATION_BUTTONS = {
+  READ_CHAPTER: 0,
+  MARK_READ: 1
+};
+
+/**
+ * Build a notification ID; what it is about is kept in session storage
+ * @param {string} prefix - Kind of notification
+ * @returns {string}
+ */
+function createNotificationId(prefix) {
+  return `${prefix}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Remove a handled notification and its payload
+ * @param {string} notificationId - Notification ID
+ */
+async function closeNotification(notificationId) {
+  await chrome.notifications.clear(notificationId);
+  await removeNotificationPayload(notificationId);
+}
+
+/**
+ * Notify about one updated manga
+ * @param {Object} manga - Manga object
+ * @param {Object} item - `{newChapter, chapterNum, chapterUrl, chapterNums, reminder}` of the update;
+ *   reminder is set when a snooze ended
+ */
+async function sendNotification(manga, item) {
+  const notificationId = createNotificationId(UPDATE_NOTIFICATION_PREFIX);
+  const chapterCount = item.chapterNums.length;
+  const message = chapterCount > 1
+    ? `${manga.title} has ${chapterCount} new chapters (latest: ${item.newChapter})`
+    : `${manga.title} has a new chapter: ${item.newChapter}`;
+
+  await saveNotificationPayload(notificationId, {
+    mangaId: `${manga.site}:${manga.slug}`,
+    chapterNum: item.chapterNum,
+    chapterUrl: item.chapterUrl || manga.url,
+    chapterNums: item.chapterNums
+  });
+  await chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: await getNotificationIcon(manga),
+    title: item.reminder ? 'Snoozed Update' : 'Manga Update',
+    message,
+    contextMessage: 'Click to snooze',
+    buttons: [{ title: 'Read chapter' }, { title: 'Mark read' }],
+    priority: 2
+  });
+}
+
+/**
+ * Notify about updated manga: held back during quiet hours, as one digest
+ * once enough series updated, individually otherwise
+ * @param {Array} items - `{id, newChapter, chapterNum, chapterUrl, chapterNums}` per updated manga
+ * @param {Object} settings - Current settings
+ */
+async function deliverNotifications(items, settings) {
+  if (items.length === 0) return;
+
+  if (getQuietWindow(settings)) {
+    await holdNotifications(items);
+    await releaseQuietNotifications(settings);
+    return;
+  }
+
+  if (settings.digestEnabled && items.length >= settings.digestThreshold) {
+    await sendDigestNotification(items, `${items.length} series updated`);
+    return;
+  }
+
+  for (const item of items) {
+    try {
+      const manga = await getManga(item.id);
+      if (manga) {
+        await sendNotification(manga, item);
       }
+    } catch (error) {
+      console.error(`Failed to send notification for ${item.id}:`, error);
     }
   }
+}
 
-  return {
-    site: 'rawkuma',
-    slug,
-    url,
+async function sendDigestNotification(held, title) {
+  const mangas = await getMangas();
+  const items = held.map(item => ({
+    title: mangas[item.id]?.title || item.id,
+    message: item.chapterNums.length > 1
+      ? `${item.chapterNums.length} new chapters (latest: ${item.newChapter})`
+      : item.newChapter
+  }));
+
+  const notificationId = createNotificationId(DIGEST_NOTIFICATION_PREFIX);
+  await saveNotificationPayload(notificationId, {
+    digest: true,
+    mangaIds: held.map(item => item.id)
+  });
+  await chrome.notifications.create(notificationId, {
+    type: 'list',
+    iconUrl: DEFAULT_NOTIFICATION_ICON,
     title,
-    thumbnail,
-    latestChapter,
-    latestChapterNum,
-    latestChapterUrl,
-    lastUpdated
-  };
+    message: items.map(item => item.title).join(', '),
+    items,
+    priority: 2
+  });
 }
 
-// ============= Update Check Functions =============
+// ============= Snooze Functions =============
 
-async function checkMangaForUpdate(manga) {
-  try {
-    const newInfo = await fetchMangaInfo(manga.url);
+const SNOOZE_OPTIONS = ['1h', 'tonight', 'tomorrow'];
+const SNOOZE_TONIGHT_HOUR = 20;
+const SNOOZE_TOMORROW_HOUR = 9;
 
-    // Compare chapter numbers
-    const hasUpdate = newInfo.latestChapterNum > manga.latestChapterNum;
+/**
+ * When a snooze ends
+ * "tonight" is 20:00, or two hours from now once it's later than 19:00;
+ * "tomorrow" is 09:00 the next day.
+ * @param {string} option - One of SNOOZE_OPTIONS
+ * @param {Date} [now] - Current time
+ * @returns {number} Timestamp
+ */
+function getSnoozeEnd(option, now = new Date()) {
+  const end = new Date(now);
+  switch (option) {
+    case '1h':
+      return now.getTime() + 60 * 60 * 1000;
+    case 'tonight':
+      if (now.getHours() >= SNOOZE_TONIGHT_HOUR - 1) {
+        return now.getTime() + 2 * 60 * 60 * 1000;
+      }
+      end.setHours(SNOOZE_TONIGHT_HOUR, 0, 0, 0);
+      return end.getTime();
+    case 'tomorrow':
+      end.setDate(end.getDate() + 1);
+      end.setHours(SNOOZE_TOMORROW_HOUR, 0, 0, 0);
+      return end.getTime();
+    default:
+      throw new Error(`Unknown snooze option: ${option}`);
+  }
+}
 
-    if (hasUpdate) {
-      return {
-        hasUpdate: true,
-        oldChapter: manga.latestChapter,
-        newChapter: newInfo.latestChapter,
-        newChapterNum: newInfo.latestChapterNum,
-        lastUpdated: newInfo.lastUpdated
-      };
-    }
+/**
+ * Snooze a manga's unread chapters
+ * @param {string} id - Manga ID
+ * @param {number[]} [chapterNums] - Only these chapters; all unread ones if omitted
+ * @param {string} option - One of SNOOZE_OPTIONS
+ */
+async function snoozeUpdate(id, chapterNums, option) {
+  await snoozeHistory(id, chapterNums, getSnoozeEnd(option));
+  await scheduleSnoozeAlarm();
+  await updateBadge();
+}
 
-    return { hasUpdate: false, lastUpdated: newInfo.lastUpdated };
-  } catch (error) {
-    console.error(`Failed to check update for ${manga.title}:`, error);
-    return { hasUpdate: false, error: error.message };
+/**
+ * Set the alarm for the earliest snooze, or clear it when nothing is snoozed
+ */
+async function scheduleSnoozeAlarm() {
+  const snoozed = await getSnoozedHistory();
+  if (snoozed.length === 0) {
+    await chrome.alarms.clear(SNOOZE_ALARM_NAME);
+    return;
   }
+  const when = Math.min(...snoozed.map(entry => entry.snoozedUntil));
+  await chrome.alarms.create(SNOOZE_ALARM_NAME, { when: Math.max(when, Date.now() + 1000) });
 }
 
-async function checkAllMangasForUpdates() {
-  const mangas = await getMangas();
-  const settings = await getSettings();
-  const mangaList = Object.values(mangas);
+/**
+ * Bring back the updates whose snooze is over and notify about them again
+ */
+async function wakeSnoozedUpdates() {
+  const woken = await wakeSnoozedHistory();
+
+  if (woken.length > 0) {
+    // One notification item per manga, newest chapter first
+    const items = new Map();
+    for (const entry of woken.sort((a, b) => (b.chapterNum ?? 0) - (a.chapterNum ?? 0))) {
+      if (!items.has(entry.id)) {
+        items.set(entry.id, {
+          id: entry.id,
+          newChapter: entry.newChapter,
+          chapterNum: entry.chapterNum,
+          chapterUrl: entry.chapterUrl,
+          chapterNums: [],
+          reminder: true
+        });
+      }
+      items.get(entry.id).chapterNums.push(entry.chapterNum);
+    }
 
-  if (mangaList.length === 0) {
-    console.log('No mangas to check');
-    return;
+    const settings = await getSettings();
+    if (settings.notificationsEnabled) {
+      await deliverNotifications([...items.values()], settings);
+    }
+    await updateBadge();
   }
 
-  console.log(`Checking ${mangaList.length} manga(s) for updates...`);
+  await scheduleSnoozeAlarm();
+}
+
+// ============= Quiet Hours Functions =============
 
-  let updatedCount = 0;
+/**
+ * Find the quiet-hours window that covers a moment
+ * A window belongs to the day it starts on, so an overnight window set for
+ * Friday still covers early Saturday.
+ * @param {Object} settings - Current settings
+ * @param {Date} [now] - Moment to look at
+ * @returns {{start: Date, end: Date}|null} null outside quiet hours
+ */
+function getQuietWindow(settings, now = new Date()) {
+  if (!settings.quietHoursEnabled) return null;
+
+  const [startHour, startMinute] = settings.quietHoursStart.split(':').map(Number);
+  const [endHour, endMinute] = settings.quietHoursEnd.split(':').map(Number);
+  const overnight = endHour * 60 + endMinute <= startHour * 60 + startMinute;
+
+  // The window started today, or yesterday if it runs past midnight
+  for (const daysBack of overnight ? [0, 1] : [0]) {
+    const start = new Date(now);
+    start.setDate(start.getDate() - daysBack);
+    start.setHours(startHour, startMinute, 0, 0);
+    if (!settings.quietHoursDays.includes(start.getDay())) continue;
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + (overnight ? 1 : 0));
+    end.setHours(endHour, endMinute, 0, 0);
+
+    if (now >= start && now < end) {
+      return { start, end };
+    }
+  }
+  return null;
+}
 
-  for (const manga of mangaList) {
-    const result = await checkMangaForUpdate(manga);
+/**
+ * Send one summary of the notifications held back during quiet hours,
+ * or schedule it for when the current window ends
+ * @param {Object} settings - Current settings
+ */
+async function releaseQuietNotifications(settings) {
+  const quietWindow = getQuietWindow(settings);
+  if (quietWindow) {
+    if ((await getHeldNotifications()).length > 0) {
+      await chrome.alarms.create(QUIET_HOURS_ALARM_NAME, { when: quietWindow.end.getTime() });
+    }
+    return;
+  }
 
-    // Update last checked time
-    await updateManga(`${manga.site}:${manga.slug}`, {
-      lastChecked: Date.now(),
-      lastUpdated: result.lastUpdated || manga.lastUpdated
+  await chrome.alarms.clear(QUIET_HOURS_ALARM_NAME);
+  const held = await takeHeldNotifications();
+  if (held.length === 0) return;
+
+  // A manga updated more than once while quiet is listed once
+  const byManga = new Map();
+  for (const item of held) {
+    const previous = byManga.get(item.id);
+    byManga.set(item.id, {
+      ...item,
+      chapterNums: [...(previous?.chapterNums || []), ...item.chapterNums]
     });
+  }
 
-    if (result.hasUpdate) {
-      updatedCount++;
+  const items = [...byManga.values()];
+  if (items.length === 1) {
+    await deliverNotifications(items, settings);
+  } else {
+    await sendDigestNotification(items, `While you were away: ${items.length} series updated`);
+  }
+}
 
-      // Update manga with new chapter info
-      await updateManga(`${manga.site}:${manga.slug}`, {
-        latestChapter: result.newChapter,
-        latestChapterNum: result.newChapterNum,
-        isRead: false
-      });
+/**
+ * Get the manga cover as a data URL for a notification icon
+ * Notifications can't load remote images directly, so the cover is fetched
+ * here; the extension icon is used when that fails or the cover's host
+ * isn't among the granted origins (covers often sit on a separate CDN).
+ * @param {Object} manga - Manga object
+ * @returns {Promise<string>}
+ */
+async function getNotificationIcon(manga) {
+  if (!manga.thumbnail) return DEFAULT_NOTIFICATION_ICON;
 
-      // Add to updates list
-      await addUpdate({
-        id: `${manga.site}:${manga.slug}`,
-        site: manga.site,
-        slug: manga.slug,
-        title: manga.title,
-        thumbnail: manga.thumbnail,
-        url: manga.url,
-        oldChapter: result.oldChapter,
-        newChapter: result.newChapter,
-        detectedAt: Date.now(),
-        isRead: false
-      });
+  try {
+    const { protocol, hostname } = new URL(manga.thumbnail);
+    if (!await chrome.permissions.contains({ origins: [`${protocol}//${hostname}/*`] })) {
+      return DEFAULT_NOTIFICATION_ICON;
+    }
 
-      // Send notification if enabled
-      if (settings.notificationsEnabled && manga.notifyEnabled) {
-        await sendNotification(manga, result.newChapter);
-      }
+    const response = await fetch(manga.thumbnail, { signal: AbortSignal.timeout(10000) });
+    const type = response.headers.get('Content-Type') || '';
+    if (!response.ok || !type.startsWith('image/')) {
+      throw new Error(`Unusable response: ${response.status} ${type}`);
     }
 
-    // Small delay between requests to be nice to the server
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type.split(';')[0]};base64,${btoa(binary)}`;
+  } catch (error) {
+    console.warn(`Cover not available for ${manga.title}:`, error.message);
+    return DEFAULT_NOTIFICATION_ICON;
   }
+}
 
-  // Update badge
-  await updateBadge();
+// ============= Webhook Functions =============
 
-  console.log(`Update check complete. ${updatedCount} manga(s) updated.`);
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 60 * 1000; // doubled after every failed attempt
+
+/**
+ * Queue an update for every enabled webhook
+ * @param {Object} update - See buildWebhookBody
+ * @param {Object} settings - Current settings
+ */
+async function queueWebhookDeliveries(update, settings) {
+  const webhooks = settings.webhooks.filter(webhook => webhook.enabled && webhook.url);
+  if (webhooks.length === 0) return;
+
+  await updateWebhookQueue(queue => [
+    ...queue,
+    ...webhooks.map(webhook => ({
+      id: `${webhook.id}:${update.mangaId}:${update.chapterNum}`,
+      webhookId: webhook.id,
+      update,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null
+    }))
+  ]);
 }
 
-// ============= Notification Functions =============
+// The queue run in progress; a second caller joins it so nothing is posted twice
+let activeWebhookRun = null;
 
-async function sendNotification(manga, newChapter) {
-  const notificationId = `manga-update-${manga.site}-${manga.slug}-${Date.now()}`;
+/**
+ * Post the webhook deliveries that are due and schedule the retries
+ * @returns {Promise<void>}
+ */
+function processWebhookQueue() {
+  if (!activeWebhookRun) {
+    activeWebhookRun = runWebhookQueue().finally(() => {
+      activeWebhookRun = null;
+    });
+  }
+  return activeWebhookRun;
+}
 
-  await chrome.notifications.create(notificationId, {
-    type: 'basic',
-    iconUrl: 'icons/icon128.png',
-    title: 'Manga Update',
-    message: `${manga.title} has a new chapter: ${newChapter}`,
-    priority: 2
+async function runWebhookQueue() {
+  const settings = await getSettings();
+  const webhooks = new Map(settings.webhooks.map(webhook => [webhook.id, webhook]));
+  const now = Date.now();
+  const due = (await getWebhookQueue()).filter(delivery => delivery.nextAttemptAt <= now);
+
+  // Delivery id -> the delivery to keep, or null once it is done with
+  const outcomes = new Map();
+  for (const delivery of due) {
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook?.enabled) {
+      // Removed or switched off since the update was queued
+      outcomes.set(delivery.id, null);
+      continue;
+    }
+
+    try {
+      if (!await chrome.permissions.contains({ origins: [getWebhookOrigin(webhook.url)] })) {
+        throw new Error('Access to the webhook host was not granted');
+      }
+      await postWebhook(webhook, delivery.update);
+      outcomes.set(delivery.id, null);
+    } catch (error) {
+      const attempts = delivery.attempts + 1;
+      if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        console.error(`Giving up on webhook delivery ${delivery.id} after ${attempts} attempts:`, error.message);
+        outcomes.set(delivery.id, null);
+      } else {
+        console.log(`Webhook delivery ${delivery.id} failed, retrying later:`, error.message);
+        outcomes.set(delivery.id, {
+          ...delivery,
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)
+        });
+      }
+    }
+  }
+
+  // Deliveries queued while we were posting are kept as they are
+  const queue = await updateWebhookQueue(current => current.flatMap(delivery => {
+    if (!outcomes.has(delivery.id)) return [delivery];
+    const kept = outcomes.get(delivery.id);
+    return kept ? [kept] : [];
+  }));
+
+  if (queue.length > 0) {
+    const nextAttemptAt = Math.min(...queue.map(delivery => delivery.nextAttemptAt));
+    await chrome.alarms.create(WEBHOOK_ALARM_NAME, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+  } else {
+    await chrome.alarms.clear(WEBHOOK_ALARM_NAME);
+  }
+}
+
+/**
+ * Post a sample update to a webhook, bypassing the queue
+ * @param {Object} webhook - `{url, format}`
+ */
+async function sendTestWebhook(webhook) {
+  await postWebhook(webhook, {
+    mangaId: 'test:sample',
+    site: 'test',
+    title: 'Raw Notification Center test',
+    chapter: 'Chapter 1',
+    chapterNum: 1,
+    chapterUrl: 'https://example.com/manga/sample/chapter-1/',
+    chapterCount: 1,
+    mangaUrl: 'https://example.com/manga/sample/',
+    cover: null,
+    detectedAt: Date.now()
   });
 }
 
 // ============= Badge Functions =============
 
+const BADGE_COLOR = '#ff6b35';
+const BADGE_ERROR_COLOR = '#dc3545';
+
 async function updateBadge() {
-  const count = await getUnreadCount();
+  const [settings, counts, lastRun] = await Promise.all([
+    getSettings(),
+    getUnreadCounts(),
+    getLastCheckRun()
+  ]);
+  const count = settings.badgeMode === 'series' ? counts.series
+    : settings.badgeMode === 'chapters' ? counts.chapters
+    : 0;
+  const failing = lastRun?.downSites.length > 0;
+
+  // Red when sites look down; "!" stands in when there's no count to show
+  await chrome.action.setBadgeText({ text: count > 0 ? count.toString() : failing ? '!' : '' });
+  await chrome.action.setBadgeBackgroundColor({ color: failing ? BADGE_ERROR_COLOR : BADGE_COLOR });
+  await chrome.action.setTitle({ title: getBadgeTitle(settings, counts, lastRun) });
+}
 
-  if (count > 0) {
-    await chrome.action.setBadgeText({ text: count.toString() });
-    await chrome.action.setBadgeBackgroundColor({ color: '#ff6b35' });
-  } else {
-    await chrome.action.setBadgeText({ text: '' });
+/**
+ * Toolbar tooltip, e.g. "3 unread · last checked 12m ago"
+ */
+function getBadgeTitle(settings, counts, lastRun) {
+  const parts = [settings.badgeMode === 'series' ? `${counts.series} unread series` : `${counts.chapters} unread`];
+  parts.push(lastRun ? `last checked ${formatTimeAgo(lastRun.finishedAt)}` : 'not checked yet');
+
+  if (lastRun?.checked > 0 && lastRun.failed === lastRun.checked && lastRun.downSites.length > 0) {
+    parts.push('last check failed');
+  } else if (lastRun?.downSites.length > 0) {
+    const names = lastRun.downSites.map(site => getParserById(site)?.siteName || site);
+    parts.push(`${names.join(', ')} ${names.length > 1 ? 'look' : 'looks'} down`);
   }
+
+  return `Raw Notification Center\n${parts.join(' · ')}`;
 }
 
-// ============= Alarm Functions =============
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
 
-async function setupAlarm() {
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / 1440)}d ago`;
+}
+
+// ============= Site Access Functions =============
+
+async function hasSiteAccess(parser) {
+  if (parser.hostPermissions.length === 0) return true;
+  return chrome.permissions.contains({ origins: parser.hostPermissions });
+}
+
+/**
+ * Sites that are enabled in the options and have host access
+ * @param {Object} settings - Current settings
+ * @returns {Promise<Set<string>>} Site IDs
+ */
+async function getCheckableSites(settings) {
+  const sites = new Set();
+  for (const parser of getAllParsers()) {
+    if (settings.enabledSites.includes(parser.siteId) && await hasSiteAccess(parser)) {
+      sites.add(parser.siteId);
+    }
+  }
+  return sites;
+}
+
+/**
+ * Register content scripts for enabled sites whose host access is granted,
+ * and unregister the rest
+ */
+async function syncContentScripts() {
   const settings = await getSettings();
-  const intervalMinutes = settings.checkInterval || DEFAULT_CHECK_INTERVAL;
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const registeredById = new Map(registered.map(script => [script.id, script]));
+
+  for (const parser of getAllParsers()) {
+    const scriptId = `${CONTENT_SCRIPT_ID_PREFIX}${parser.siteId}`;
+    const wanted = settings.enabledSites.includes(parser.siteId) && await hasSiteAccess(parser);
+    const script = {
+      id: scriptId,
+      matches: parser.contentScriptMatches,
+      js: CONTENT_SCRIPT_FILES,
+      css: ['content.css'],
+      runAt: 'document_idle'
+    };
+    const current = registeredById.get(scriptId);
+
+    if (wanted && !current) {
+      await chrome.scripting.registerContentScripts([script]);
+      console.log(`Content script registered for ${parser.siteName}`);
+    } else if (wanted && (current.js.join() !== script.js.join() || current.matches.join() !== script.matches.join())) {
+      // Registrations outlive extension updates that change the scripts
+      await chrome.scripting.updateContentScripts([script]);
+      console.log(`Content script updated for ${parser.siteName}`);
+    } else if (!wanted && current) {
+      await chrome.scripting.unregisterContentScripts({ ids: [scriptId] });
+      console.log(`Content script unregistered for ${parser.siteName}`);
+    }
+  }
+}
+
+// ============= Alarm Functions =============
 
+async function setupAlarm() {
   // Clear existing alarm
   await chrome.alarms.clear(ALARM_NAME);
 
-  // Create new alarm
+  // The alarm only ticks; each manga's tier decides whether a tick checks it
   await chrome.alarms.create(ALARM_NAME, {
     delayInMinutes: 1, // First check after 1 minute
-    periodInMinutes: intervalMinutes
+    periodInMinutes: CHECK_TICK_MINUTES
   });
 
-  console.log(`Alarm set to check every ${intervalMinutes} minutes`);
+  console.log(`Alarm set to tick every ${CHECK_TICK_MINUTES} minutes`);
 }
 
 // ============= Message Handlers =============
@@ -371,8 +1227,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
 
         case 'GET_UPDATES':
-          const updates = await getUpdates();
-          sendResponse({ updates });
+          // One page of history; pass the returned cursor back for the next one
+          const page = await getHistoryPage({ cursor: message.cursor, limit: message.limit });
+          sendResponse({ updates: page.entries, cursor: page.nextCursor });
           break;
 
         case 'GET_SETTINGS':
@@ -381,33 +1238,57 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
 
         case 'SAVE_SETTINGS':
+          // A new check interval applies from the next alarm tick
           await saveSettings(message.settings);
-          await setupAlarm(); // Re-setup alarm with new interval
+          await syncContentScripts();
+          const savedSettings = await getSettings();
+          await applyHistoryRetention(savedSettings);
+          await releaseQuietNotifications(savedSettings);
+          await updateBadge();
           sendResponse({ success: true });
           break;
 
         case 'MARK_READ':
-          await updateManga(message.id, { isRead: true });
-          // Also mark in updates
-          const allUpdates = await getUpdates();
-          const updatedUpdates = allUpdates.map(u =>
-            u.id === message.id ? { ...u, isRead: true } : u
-          );
-          await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: updatedUpdates });
-          await updateBadge();
+          // With chapterNum only that chapter's entry is marked read
+          await markMangaRead(message.id, message.chapterNum);
           sendResponse({ success: true });
           break;
 
-        case 'MARK_ALL_READ':
-          const mangasToUpdate = await getMangas();
-          for (const id of Object.keys(mangasToUpdate)) {
-            mangasToUpdate[id].isRead = true;
+        case 'SET_PROGRESS':
+          const progressNum = parseFloat(message.chapterNum);
+          if (!Number.isFinite(progressNum) || progressNum < 0) {
+            sendResponse({ success: false, error: `Invalid chapter number: ${message.chapterNum}` });
+            break;
           }
-          await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangasToUpdate });
+          const progressManga = await setReadingProgress(message.id, progressNum);
+          sendResponse({ success: !!progressManga, manga: progressManga });
+          break;
+
+        case 'FIND_CHAPTER':
+          sendResponse({ match: await findChapterByUrl(message.url) });
+          break;
+
+        case 'GET_NEXT_UNREAD':
+          sendResponse({ chapter: await getNextUnreadChapter(message.id) });
+          break;
+
+        case 'SNOOZE':
+          if (!SNOOZE_OPTIONS.includes(message.option)) {
+            sendResponse({ success: false, error: `Unknown snooze option: ${message.option}` });
+            break;
+          }
+          await snoozeUpdate(message.id, message.chapterNums, message.option);
+          sendResponse({ success: true });
+          break;
 
-          const updatesToMark = await getUpdates();
-          const markedUpdates = updatesToMark.map(u => ({ ...u, isRead: true }));
-          await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: markedUpdates });
+        case 'MARK_ALL_READ':
+          await updateMangas((allMangas) => {
+            for (const manga of Object.values(allMangas)) {
+              manga.isRead = true;
+              manga.lastReadChapterNum = manga.latestChapterNum;
+            }
+          });
+          await markAllHistoryRead();
           await updateBadge();
           sendResponse({ success: true });
           break;
@@ -417,46 +1298,71 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: true });
           break;
 
+        case 'BATCH_ACTION':
+          if (!Array.isArray(message.ids) || !BATCH_ACTIONS.includes(message.action)) {
+            sendResponse({ success: false, error: `Unknown batch action: ${message.action}` });
+            break;
+          }
+          if (message.action === 'setTier' && !CHECK_TIERS[message.tier]) {
+            sendResponse({ success: false, error: `Unknown check tier: ${message.tier}` });
+            break;
+          }
+          const batchData = await runBatchAction(message.ids, message.action, { tier: message.tier });
+          sendResponse({ success: true, data: batchData });
+          break;
+
+        case 'TAG_MANGAS':
+          await tagMangas(message.ids, message.add, message.remove);
+          sendResponse({ success: true });
+          break;
+
+        case 'SET_NOTIFY_THRESHOLD':
+          await updateManga(message.id, { notifyThreshold: Math.max(1, parseInt(message.threshold) || 1) });
+          sendResponse({ success: true });
+          break;
+
+        case 'SET_CHECK_TIER':
+          if (!CHECK_TIERS[message.tier]) {
+            sendResponse({ success: false, error: `Unknown check tier: ${message.tier}` });
+            break;
+          }
+          await updateManga(message.id, { checkTier: message.tier });
+          sendResponse({ success: true });
+          break;
+
+        case 'RETRY_MANGA':
+          const retryResult = await retryManga(message.id);
+          sendResponse({ success: !retryResult.error, error: retryResult.error });
+          break;
+
+        case 'TEST_WEBHOOK':
+          try {
+            await sendTestWebhook(message.webhook);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'CHECK_NOW':
           await checkAllMangasForUpdates();
           sendResponse({ success: true });
           break;
 
         case 'EXPORT_DATA':
-          const exportMangas = await getMangas();
-          const exportSettings = await getSettings();
-          const exportUpdates = await getUpdates();
-          sendResponse({
-            data: {
-              version: 1,
-              exportedAt: new Date().toISOString(),
-              mangas: exportMangas,
-              settings: exportSettings,
-              updates: exportUpdates
-            }
-          });
+          sendResponse({ data: await exportData() });
           break;
 
         case 'IMPORT_DATA':
-          const importData = message.data;
-          if (!importData || importData.version !== 1) {
-            sendResponse({ success: false, error: 'Invalid data format' });
+          try {
+            await importData(message.data, message.merge);
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
             break;
           }
-
-          if (message.merge) {
-            const existingMangas = await getMangas();
-            const mergedMangas = { ...existingMangas, ...importData.mangas };
-            await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mergedMangas });
-          } else {
-            await chrome.storage.local.set({
-              [STORAGE_KEYS.MANGAS]: importData.mangas || {},
-              [STORAGE_KEYS.SETTINGS]: importData.settings || DEFAULT_SETTINGS,
-              [STORAGE_KEYS.UPDATES]: importData.updates || []
-            });
-          }
-
+          await applyHistoryRetention(await getSettings());
           await setupAlarm();
+          await syncContentScripts();
           await updateBadge();
           sendResponse({ success: true });
           break;
@@ -477,36 +1383,84 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Alarm handler
 chrome.alarms.onAlarm.addListener((alarm) => {
+  let task = null;
   if (alarm.name === ALARM_NAME) {
-    checkAllMangasForUpdates();
+    // Joins a run that is already going, or resumes an interrupted one
+    task = checkAllMangasForUpdates({ dueOnly: true });
+  } else if (alarm.name === RESUME_ALARM_NAME) {
+    task = resumeInterruptedCheck();
+  } else if (alarm.name === QUIET_HOURS_ALARM_NAME) {
+    task = getSettings().then(releaseQuietNotifications);
+  } else if (alarm.name === WEBHOOK_ALARM_NAME) {
+    task = processWebhookQueue();
+  } else if (alarm.name === SNOOZE_ALARM_NAME) {
+    task = wakeSnoozedUpdates();
   }
+  task?.catch(error => console.error(`Alarm "${alarm.name}" failed:`, error));
 });
 
 // Notification click handler
 chrome.notifications.onClicked.addListener(async (notificationId) => {
-  // Extract manga info from notification ID
-  const match = notificationId.match(/manga-update-(\w+)-(.+)-\d+/);
-  if (match) {
-    const [, site, slug] = match;
-    const id = `${site}:${slug}`;
-    const manga = await getManga(id);
-
-    if (manga?.url) {
-      await chrome.tabs.create({ url: manga.url });
-
-      // Mark as read
-      await updateManga(id, { isRead: true });
-      await updateBadge();
+  const payload = await getNotificationPayload(notificationId);
+
+  if (payload?.digest) {
+    // A digest covers several series: show them all in the popup
+    await chrome.action.openPopup().catch(() => {});
+  } else if (payload) {
+    // The popup opens on the update's snooze menu (1h / tonight / tomorrow);
+    // where it can't be opened, the click reads the chapter
+    await setSnoozeFocus(payload.mangaId);
+    const opened = await chrome.action.openPopup().then(() => true, () => false);
+    if (!opened) {
+      await setSnoozeFocus(null);
+      await chrome.tabs.create({ url: payload.chapterUrl });
+      await markMangaRead(payload.mangaId, payload.chapterNums);
+    }
+  }
+
+  await closeNotification(notificationId);
+});
+
+// Notification button handler
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const payload = await getNotificationPayload(notificationId);
+
+  if (payload && !payload.digest) {
+    if (buttonIndex === NOTIFICATION_BUTTONS.READ_CHAPTER) {
+      await chrome.tabs.create({ url: payload.chapterUrl });
+      await markMangaRead(payload.mangaId, payload.chapterNums);
+    } else if (buttonIndex === NOTIFICATION_BUTTONS.MARK_READ) {
+      await markMangaRead(payload.mangaId, payload.chapterNums);
     }
   }
 
-  chrome.notifications.clear(notificationId);
+  await closeNotification(notificationId);
+});
+
+// Dismissed without a click
+chrome.notifications.onClosed.addListener((notificationId) => {
+  removeNotificationPayload(notificationId);
+});
+
+// Host access granted or revoked (options page or chrome://extensions)
+chrome.permissions.onAdded.addListener(() => {
+  syncContentScripts();
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  syncContentScripts();
 });
 
 // Install handler
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed/updated:', details.reason);
 
+  // Bring data written by an older version up to the current schema
+  const migratedFrom = await migrateStorage();
+  if (migratedFrom !== null) {
+    console.log(`Storage migrated from schema ${migratedFrom} to ${SCHEMA_VERSION}`);
+  }
+
   // Initialize storage with defaults if needed
   const settings = await getSettings();
   await saveSettings(settings);
@@ -514,6 +1468,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   // Setup alarm
   await setupAlarm();
 
+  // Register content scripts for the sites that already have access
+  await syncContentScripts();
+
+  // Site access is optional, so let new users pick their sites first
+  if (details.reason === 'install') {
+    chrome.runtime.openOptionsPage();
+  }
+
   // Update badge
   await updateBadge();
 });
@@ -525,6 +1487,18 @@ chrome.runtime.onStartup.addListener(async () => {
   // Setup alarm
   await setupAlarm();
 
+  // Keep content scripts in line with granted host access
+  await syncContentScripts();
+
+  // Alarms may not survive a browser restart: send or reschedule held
+  // notifications, webhook retries and snoozed updates
+  await releaseQuietNotifications(await getSettings());
+  await processWebhookQueue();
+  await wakeSnoozedUpdates();
+
   // Update badge
   await updateBadge();
 });
+
+// Every wake of the worker may follow a shutdown in the middle of a run
+resumeInterruptedCheck().catch(error => console.error('Failed to resume the check run:', error));
@@ -0,0 +1,133 @@
+/**
+ * Content script for chapter pages of tracked manga
+ * Records reading progress once the reader reaches the bottom of the
+ * chapter, then offers the next unread chapter in a small banner
+ */
+
+(function() {
+  'use strict';
+
+  // Only run on chapter pages of a supported site
+  const parser = getParserForChapterUrl(window.location.href);
+  if (!parser) {
+    return;
+  }
+
+  // How far before the end of the chapter counts as having read it
+  const BOTTOM_MARGIN_PX = 300;
+
+  let tracked = null;
+  let recorded = false;
+
+  /**
+   * Show the next unread chapter, or that the manga is caught up
+   * @param {Object|null} chapter - From GET_NEXT_UNREAD
+   */
+  function showBanner(chapter) {
+    document.getElementById('manga-update-next-banner')?.remove();
+
+    const banner = document.createElement('div');
+    banner.id = 'manga-update-next-banner';
+    banner.className = 'manga-update-next-banner';
+
+    if (chapter) {
+      const link = document.createElement('a');
+      link.href = chapter.url;
+      link.textContent = `Next unread: ${chapter.title}`;
+      banner.appendChild(link);
+    } else {
+      const text = document.createElement('span');
+      text.textContent = `All caught up on ${tracked.title}`;
+      banner.appendChild(text);
+    }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'manga-update-next-close';
+    close.title = 'Dismiss';
+    close.textContent = '×';
+    close.addEventListener('click', () => banner.remove());
+    banner.appendChild(close);
+
+    document.body.appendChild(banner);
+  }
+
+  /**
+   * Mark the chapter read the first time the reader reaches its end
+   */
+  async function recordProgress() {
+    if (recorded) return;
+    recorded = true;
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'MARK_READ',
+        id: tracked.id,
+        chapterNum: tracked.chapter.num
+      });
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_NEXT_UNREAD',
+        id: tracked.id
+      });
+      showBanner(response?.chapter || null);
+    } catch (error) {
+      console.error('Failed to record reading progress:', error);
+    }
+  }
+
+  /**
+   * Watch a sentinel after the last page image, so a chapter that fits the
+   * viewport counts as read without scrolling
+   */
+  function watchChapterEnd() {
+    const sentinel = document.createElement('div');
+    sentinel.className = 'manga-update-chapter-end';
+
+    const lastPage = parser.getChapterEndElement(document);
+    if (lastPage) {
+      lastPage.insertAdjacentElement('afterend', sentinel);
+    } else {
+      document.body.appendChild(sentinel);
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      sentinel.remove();
+      recordProgress();
+    }, { rootMargin: `0px 0px ${BOTTOM_MARGIN_PX}px 0px` });
+    observer.observe(sentinel);
+  }
+
+  /**
+   * Initialize the content script
+   */
+  async function init() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'FIND_CHAPTER',
+        url: window.location.href
+      });
+      tracked = response?.match || null;
+    } catch (error) {
+      console.error('Failed to look up chapter:', error);
+    }
+
+    // Untracked manga, or a chapter the last check hasn't seen yet
+    if (!tracked) {
+      return;
+    }
+
+    // Page images have no height until they load, which would put the
+    // sentinel in view straight away
+    if (document.readyState === 'complete') {
+      watchChapterEnd();
+    } else {
+      window.addEventListener('load', watchChapterEnd, { once: true });
+    }
+    console.log(`Manga Update Checker: tracking progress on ${tracked.chapter.title}`);
+  }
+
+  // Initialize
+  init();
+})();
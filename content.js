@@ -6,18 +6,16 @@
 (function() {
   'use strict';
 
-  // Only run on manga detail pages (not chapter pages)
-  const mangaUrlPattern = /^https?:\/\/rawkuma\.net\/manga\/([^\/]+)\/?$/;
-
-  if (!mangaUrlPattern.test(window.location.href)) {
+  // Only run on manga detail pages of a supported site (not chapter pages)
+  const parser = getParserForUrl(window.location.href);
+  if (!parser) {
     return;
   }
 
-  const slug = window.location.href.match(mangaUrlPattern)?.[1];
+  const slug = parser.extractSlug(window.location.href);
   if (!slug) return;
 
-  const SITE_ID = 'rawkuma';
-  const MANGA_ID = `${SITE_ID}:${slug}`;
+  const MANGA_ID = parser.generateId(slug);
 
   let isRegistered = false;
   let container = null;
@@ -49,114 +47,8 @@
    * Extract manga info from the current page
    */
   async function extractMangaInfo() {
-    // Title - extract from <title> tag (format: "Manga Name - Rawkuma")
-    let title = 'Unknown';
-    const titleEl = document.querySelector('title');
-    if (titleEl) {
-      title = titleEl.textContent.replace(/\s*-\s*Rawkuma\s*$/i, '').trim();
-    }
-
-    // Thumbnail - use og:image meta tag (more reliable)
-    let thumbnail = '';
-    const ogImage = document.querySelector('meta[property="og:image"]');
-    if (ogImage) {
-      thumbnail = ogImage.getAttribute('content') || '';
-    } else {
-      const thumbnailEl = document.querySelector('article img[alt]');
-      thumbnail = thumbnailEl?.src || '';
-    }
-
-    // Extract manga_id from page for API call
-    let mangaId = null;
-    const scripts = document.querySelectorAll('script, a[href*="manga_id"]');
-    const pageHtml = document.documentElement.innerHTML;
-    const mangaIdMatch = pageHtml.match(/manga_id[=:](\d+)/);
-    if (mangaIdMatch) {
-      mangaId = mangaIdMatch[1];
-    }
-
-    let latestChapter = '';
-    let latestChapterNum = 0;
-    let latestChapterUrl = '';
-    let lastUpdated = '';
-
-    // Try to get chapter info from API
-    if (mangaId) {
-      try {
-        const apiUrl = `https://rawkuma.net/wp-admin/admin-ajax.php?manga_id=${mangaId}&page=1&action=chapter_list`;
-        const response = await fetch(apiUrl);
-        if (response.ok) {
-          const chapterHtml = await response.text();
-
-          // Extract first (latest) chapter number from data-chapter-number attribute
-          const chapterNumMatch = chapterHtml.match(/data-chapter-number=["'](\d+)["']/);
-          if (chapterNumMatch) {
-            latestChapterNum = parseInt(chapterNumMatch[1], 10);
-            latestChapter = `Chapter ${chapterNumMatch[1]}`;
-          }
-
-          // Extract chapter URL
-          const chapterUrlMatch = chapterHtml.match(/href=["']([^"']*\/chapter-[^"']*)["']/);
-          if (chapterUrlMatch) {
-            latestChapterUrl = chapterUrlMatch[1].trim();
-            if (!latestChapterUrl.startsWith('http')) {
-              latestChapterUrl = `https://rawkuma.net${latestChapterUrl}`;
-            }
-          }
-
-          // Extract last updated time from first chapter
-          const timeMatch = chapterHtml.match(/<time[^>]*>([^<]+)<\/time>/);
-          if (timeMatch) {
-            lastUpdated = timeMatch[1].trim();
-          }
-        }
-      } catch (error) {
-        console.error('Failed to fetch chapter list:', error);
-      }
-    }
-
-    // Fallback: try DOM-based extraction
-    if (!latestChapterNum) {
-      // Check for chapter list container with data-chapter-number
-      const chapterElements = document.querySelectorAll('[data-chapter-number]');
-      if (chapterElements.length > 0) {
-        const firstChapter = chapterElements[0];
-        latestChapterNum = parseInt(firstChapter.dataset.chapterNumber, 10);
-        latestChapter = `Chapter ${latestChapterNum}`;
-
-        const chapterLink = firstChapter.querySelector('a[href*="/chapter-"]');
-        if (chapterLink) {
-          latestChapterUrl = chapterLink.href;
-        }
-      } else {
-        // Final fallback: use chapter links
-        const chapterLinks = document.querySelectorAll('a[href*="/chapter-"]');
-        if (chapterLinks.length > 0) {
-          latestChapterUrl = chapterLinks[0].href;
-          const numMatch = latestChapterUrl.match(/\/chapter-(\d+)/i);
-          if (numMatch) {
-            latestChapterNum = parseInt(numMatch[1], 10);
-            latestChapter = `Chapter ${numMatch[1]}`;
-          }
-        }
-      }
-    }
-
-    return {
-      site: SITE_ID,
-      slug,
-      url: window.location.href,
-      title,
-      thumbnail,
-      latestChapter,
-      latestChapterNum,
-      latestChapterUrl,
-      lastUpdated,
-      lastChecked: Date.now(),
-      isRead: true,
-      notifyEnabled: true,
-      addedAt: Date.now()
-    };
+    const html = document.documentElement.outerHTML;
+    return parser.parseMangaInfo(html, window.location.href);
   }
 
   /**
@@ -329,44 +221,6 @@
     }
   }
 
-  /**
-   * Find the best place to insert the container
-   */
-  function findInsertTarget() {
-    // Look for the buttons container (Chapter 1 and Bookmark area)
-    const buttons = document.querySelectorAll('button[type="button"]');
-    for (const btn of buttons) {
-      if (btn.textContent?.includes('Bookmark')) {
-        // Find the parent container of the buttons
-        const parent = btn.closest('div');
-        if (parent) {
-          return { element: parent, position: 'after' };
-        }
-      }
-    }
-
-    // Alternative: Look for article section with the manga info
-    const article = document.querySelector('article');
-    if (article) {
-      // Find the region with manga details
-      const region = article.querySelector('region') || article.querySelector('div');
-      if (region) {
-        return { element: region, position: 'inside' };
-      }
-    }
-
-    // Fallback: Insert after the first image in article
-    const articleImg = document.querySelector('article img');
-    if (articleImg) {
-      const imgParent = articleImg.closest('div');
-      if (imgParent) {
-        return { element: imgParent, position: 'after' };
-      }
-    }
-
-    return null;
-  }
-
   /**
    * Initialize the content script
    */
@@ -387,7 +241,7 @@
     }
 
     // Find insert target
-    const target = findInsertTarget();
+    const target = parser.getButtonInsertTarget(document);
     if (!target) {
       console.log('Manga Update Checker: Could not find insert target');
       return;
@@ -419,7 +273,7 @@
   const observer = new MutationObserver(() => {
     if (window.location.href !== lastUrl) {
       lastUrl = window.location.href;
-      if (mangaUrlPattern.test(lastUrl)) {
+      if (parser.canHandle(lastUrl)) {
         setTimeout(init, 1500);
       }
     }
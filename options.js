@@ -5,13 +5,35 @@
 // DOM Elements
 const elements = {
   checkInterval: document.getElementById('check-interval'),
+  adaptiveChecks: document.getElementById('adaptive-checks'),
+  maxConcurrency: document.getElementById('max-concurrency'),
+  requestDelay: document.getElementById('request-delay'),
+  maxRetries: document.getElementById('max-retries'),
+  requestTimeout: document.getElementById('request-timeout'),
+  autoPauseAfter: document.getElementById('auto-pause-after'),
+  badgeMode: document.getElementById('badge-mode'),
   notificationsEnabled: document.getElementById('notifications-enabled'),
+  digestEnabled: document.getElementById('digest-enabled'),
+  digestThreshold: document.getElementById('digest-threshold'),
+  quietHoursEnabled: document.getElementById('quiet-hours-enabled'),
+  quietHoursStart: document.getElementById('quiet-hours-start'),
+  quietHoursEnd: document.getElementById('quiet-hours-end'),
+  quietHoursDays: document.querySelectorAll('#quiet-hours-days input'),
+  historyRetentionDays: document.getElementById('history-retention-days'),
+  historyMaxEntries: document.getElementById('history-max-entries'),
+  webhookList: document.getElementById('webhook-list'),
+  addWebhookBtn: document.getElementById('add-webhook-btn'),
+  siteList: document.getElementById('site-list'),
   exportBtn: document.getElementById('export-btn'),
   importBtn: document.getElementById('import-btn'),
   importFile: document.getElementById('import-file'),
   status: document.getElementById('status')
 };
 
+// State
+let enabledSites = [];
+let webhooks = [];
+
 // ============= Initialization =============
 
 document.addEventListener('DOMContentLoaded', init);
@@ -24,7 +46,25 @@ async function init() {
 function setupEventListeners() {
   // Settings changes
   elements.checkInterval.addEventListener('change', saveSettings);
+  elements.adaptiveChecks.addEventListener('change', saveSettings);
+  elements.maxConcurrency.addEventListener('change', saveSettings);
+  elements.requestDelay.addEventListener('change', saveSettings);
+  elements.maxRetries.addEventListener('change', saveSettings);
+  elements.requestTimeout.addEventListener('change', saveSettings);
+  elements.autoPauseAfter.addEventListener('change', saveSettings);
+  elements.badgeMode.addEventListener('change', saveSettings);
   elements.notificationsEnabled.addEventListener('change', saveSettings);
+  elements.digestEnabled.addEventListener('change', saveSettings);
+  elements.digestThreshold.addEventListener('change', saveSettings);
+  elements.quietHoursEnabled.addEventListener('change', saveSettings);
+  elements.quietHoursStart.addEventListener('change', saveSettings);
+  elements.quietHoursEnd.addEventListener('change', saveSettings);
+  elements.quietHoursDays.forEach(day => day.addEventListener('change', saveSettings));
+  elements.historyRetentionDays.addEventListener('change', saveSettings);
+  elements.historyMaxEntries.addEventListener('change', saveSettings);
+
+  // Webhooks
+  elements.addWebhookBtn.addEventListener('click', handleAddWebhook);
 
   // Export/Import
   elements.exportBtn.addEventListener('click', handleExport);
@@ -40,7 +80,28 @@ async function loadSettings() {
     const settings = response.settings;
 
     elements.checkInterval.value = settings.checkInterval;
+    elements.adaptiveChecks.checked = settings.adaptiveChecks;
+    elements.maxConcurrency.value = settings.maxConcurrency;
+    elements.requestDelay.value = settings.requestDelay;
+    elements.maxRetries.value = settings.maxRetries;
+    elements.requestTimeout.value = settings.requestTimeout;
+    elements.autoPauseAfter.value = settings.autoPauseAfter;
+    elements.badgeMode.value = settings.badgeMode;
     elements.notificationsEnabled.checked = settings.notificationsEnabled;
+    elements.digestEnabled.checked = settings.digestEnabled;
+    elements.digestThreshold.value = settings.digestThreshold;
+    elements.quietHoursEnabled.checked = settings.quietHoursEnabled;
+    elements.quietHoursStart.value = settings.quietHoursStart;
+    elements.quietHoursEnd.value = settings.quietHoursEnd;
+    elements.quietHoursDays.forEach(day => {
+      day.checked = settings.quietHoursDays.includes(parseInt(day.value));
+    });
+    elements.historyRetentionDays.value = settings.historyRetentionDays;
+    elements.historyMaxEntries.value = settings.historyMaxEntries;
+    enabledSites = settings.enabledSites || [];
+    webhooks = settings.webhooks || [];
+    renderWebhooks();
+    await renderSites();
   } catch (error) {
     console.error('Failed to load settings:', error);
     showStatus('Failed to load settings', 'error');
@@ -50,7 +111,22 @@ async function loadSettings() {
 async function saveSettings() {
   const settings = {
     checkInterval: parseInt(elements.checkInterval.value),
-    notificationsEnabled: elements.notificationsEnabled.checked
+    adaptiveChecks: elements.adaptiveChecks.checked,
+    maxConcurrency: parseInt(elements.maxConcurrency.value),
+    requestDelay: parseInt(elements.requestDelay.value),
+    maxRetries: parseInt(elements.maxRetries.value),
+    requestTimeout: parseInt(elements.requestTimeout.value),
+    autoPauseAfter: parseInt(elements.autoPauseAfter.value),
+    badgeMode: elements.badgeMode.value,
+    notificationsEnabled: elements.notificationsEnabled.checked,
+    digestEnabled: elements.digestEnabled.checked,
+    digestThreshold: parseInt(elements.digestThreshold.value),
+    quietHoursEnabled: elements.quietHoursEnabled.checked,
+    quietHoursStart: elements.quietHoursStart.value,
+    quietHoursEnd: elements.quietHoursEnd.value,
+    quietHoursDays: [...elements.quietHoursDays].filter(day => day.checked).map(day => parseInt(day.value)),
+    historyRetentionDays: parseInt(elements.historyRetentionDays.value),
+    historyMaxEntries: parseInt(elements.historyMaxEntries.value)
   };
 
   try {
@@ -65,6 +141,217 @@ async function saveSettings() {
   }
 }
 
+// ============= Webhooks =============
+
+function renderWebhooks() {
+  if (webhooks.length === 0) {
+    elements.webhookList.innerHTML = '<div class="webhook-empty">No webhooks yet</div>';
+    return;
+  }
+
+  const formatOptions = (selected) => Object.entries(WEBHOOK_FORMATS)
+    .map(([format, name]) => `<option value="${format}" ${format === selected ? 'selected' : ''}>${name}</option>`)
+    .join('');
+
+  elements.webhookList.innerHTML = webhooks.map(webhook => `
+    <div class="webhook-row" data-id="${webhook.id}">
+      <select class="webhook-format">${formatOptions(webhook.format)}</select>
+      <input type="url" class="webhook-url" placeholder="https://..." value="${escapeAttr(webhook.url)}">
+      <label class="toggle" title="Enabled">
+        <input type="checkbox" class="webhook-enabled" ${webhook.enabled ? 'checked' : ''}>
+        <span class="toggle-slider"></span>
+      </label>
+      <button class="btn btn-secondary btn-small webhook-test">Test</button>
+      <button class="btn btn-secondary btn-small webhook-remove">Remove</button>
+    </div>
+  `).join('');
+
+  elements.webhookList.querySelectorAll('.webhook-row').forEach(row => {
+    const id = row.dataset.id;
+    row.querySelector('.webhook-format').addEventListener('change', (e) => {
+      updateWebhook(id, { format: e.target.value });
+    });
+    row.querySelector('.webhook-url').addEventListener('change', (e) => handleWebhookUrlChange(id, e.target));
+    row.querySelector('.webhook-enabled').addEventListener('change', (e) => handleWebhookToggle(id, e.target));
+    row.querySelector('.webhook-test').addEventListener('click', (e) => handleTestWebhook(id, e.target));
+    row.querySelector('.webhook-remove').addEventListener('click', () => handleRemoveWebhook(id));
+  });
+}
+
+function handleAddWebhook() {
+  webhooks = [...webhooks, { id: crypto.randomUUID(), url: '', format: 'discord', enabled: false }];
+  renderWebhooks();
+  elements.webhookList.querySelector('.webhook-row:last-child .webhook-url').focus();
+}
+
+async function handleRemoveWebhook(id) {
+  webhooks = webhooks.filter(webhook => webhook.id !== id);
+  renderWebhooks();
+  await saveWebhooks();
+}
+
+async function updateWebhook(id, changes) {
+  webhooks = webhooks.map(webhook => webhook.id === id ? { ...webhook, ...changes } : webhook);
+  await saveWebhooks();
+}
+
+async function handleWebhookUrlChange(id, input) {
+  const url = input.value.trim();
+  if (url && !isValidWebhookUrl(url)) {
+    showStatus('Webhook URL must start with http:// or https://', 'error');
+    return;
+  }
+
+  // A new host needs its own permission, which can only be asked for on a click
+  const webhook = webhooks.find(webhook => webhook.id === id);
+  const keepEnabled = webhook.enabled && !!url &&
+    await chrome.permissions.contains({ origins: [getWebhookOrigin(url)] });
+  if (webhook.enabled && !keepEnabled) {
+    input.closest('.webhook-row').querySelector('.webhook-enabled').checked = false;
+  }
+  await updateWebhook(id, { url, enabled: keepEnabled });
+}
+
+async function handleWebhookToggle(id, toggle) {
+  const webhook = webhooks.find(webhook => webhook.id === id);
+
+  if (toggle.checked) {
+    if (!isValidWebhookUrl(webhook.url)) {
+      toggle.checked = false;
+      showStatus('Enter a webhook URL first', 'error');
+      return;
+    }
+    if (!await requestWebhookAccess(webhook.url)) {
+      toggle.checked = false;
+      return;
+    }
+  }
+
+  await updateWebhook(id, { enabled: toggle.checked });
+}
+
+async function handleTestWebhook(id, button) {
+  const webhook = webhooks.find(webhook => webhook.id === id);
+  if (!isValidWebhookUrl(webhook.url)) {
+    showStatus('Enter a webhook URL first', 'error');
+    return;
+  }
+  if (!await requestWebhookAccess(webhook.url)) return;
+
+  button.disabled = true;
+  button.textContent = 'Sending...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'TEST_WEBHOOK', webhook });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response');
+    }
+    showStatus('Test message sent', 'success');
+  } catch (error) {
+    console.error('Webhook test failed:', error);
+    showStatus(`Webhook test failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Test';
+  }
+}
+
+/**
+ * Ask for access to the webhook's host
+ * Must run inside the click's user gesture
+ * @param {string} url - Webhook URL
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+async function requestWebhookAccess(url) {
+  const origin = getWebhookOrigin(url);
+  const granted = await chrome.permissions.request({ origins: [origin] });
+  if (!granted) {
+    showStatus(`Access to ${new URL(url).hostname} was not granted`, 'error');
+  }
+  return granted;
+}
+
+function isValidWebhookUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+async function saveWebhooks() {
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'SAVE_SETTINGS',
+      settings: { webhooks }
+    });
+    showStatus('Webhooks saved', 'success');
+  } catch (error) {
+    console.error('Failed to save webhooks:', error);
+    showStatus('Failed to save webhooks', 'error');
+  }
+}
+
+// ============= Sites =============
+
+async function renderSites() {
+  const rows = [];
+
+  for (const parser of getAllParsers()) {
+    const granted = await chrome.permissions.contains({ origins: parser.hostPermissions });
+    const enabled = granted && enabledSites.includes(parser.siteId);
+    const host = parser.hostPermissions[0]?.replace(/^\*:\/\/|\/\*$/g, '') || '';
+
+    rows.push(`
+      <div class="setting-row">
+        <div class="setting-label">
+          <span>${parser.siteName}</span>
+          <small>${host}</small>
+        </div>
+        <label class="toggle">
+          <input type="checkbox" class="site-toggle" data-site="${parser.siteId}" ${enabled ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+    `);
+  }
+
+  elements.siteList.innerHTML = rows.join('');
+  elements.siteList.querySelectorAll('.site-toggle').forEach(toggle => {
+    toggle.addEventListener('change', () => handleSiteToggle(toggle));
+  });
+}
+
+async function handleSiteToggle(toggle) {
+  const parser = getParserById(toggle.dataset.site);
+  if (!parser) return;
+
+  try {
+    if (toggle.checked) {
+      // Must run inside the click's user gesture
+      const granted = await chrome.permissions.request({ origins: parser.hostPermissions });
+      if (!granted) {
+        toggle.checked = false;
+        showStatus(`Access to ${parser.siteName} was not granted`, 'error');
+        return;
+      }
+      enabledSites = [...new Set([...enabledSites, parser.siteId])];
+    } else {
+      await chrome.permissions.remove({ origins: parser.hostPermissions });
+      enabledSites = enabledSites.filter(id => id !== parser.siteId);
+    }
+
+    await chrome.runtime.sendMessage({
+      type: 'SAVE_SETTINGS',
+      settings: { enabledSites }
+    });
+    showStatus(`${parser.siteName} ${toggle.checked ? 'enabled' : 'disabled'}`, 'success');
+  } catch (error) {
+    console.error('Failed to update site access:', error);
+    showStatus('Failed to update site access', 'error');
+  }
+}
+
 // ============= Export =============
 
 async function handleExport() {
@@ -110,8 +397,8 @@ async function handleImport(event) {
     const text = await file.text();
     const data = JSON.parse(text);
 
-    // Validate data
-    if (!data.version || data.version !== 1) {
+    // Validate data; the background upgrades backups from older versions
+    if (!data || !data.version || typeof data.mangas !== 'object') {
       throw new Error('Invalid file format');
     }
 
@@ -122,11 +409,14 @@ async function handleImport(event) {
       'Cancel = Replace (replace all data with imported data)'
     );
 
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       type: 'IMPORT_DATA',
       data,
       merge
     });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Import failed');
+    }
 
     const mangaCount = Object.keys(data.mangas || {}).length;
     showStatus(`Imported ${mangaCount} manga(s)${merge ? ' (merged)' : ''}`, 'success');
@@ -145,6 +435,16 @@ async function handleImport(event) {
 
 // ============= Utility =============
 
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 function showStatus(message, type) {
   elements.status.textContent = message;
   elements.status.className = `status ${type}`;
@@ -1,11 +1,24 @@
 /**
  * Base class for site-specific manga parsers
  * Extend this class to add support for new manga sites
+ *
+ * Parsers run in the background service worker, where DOMParser is not
+ * available, so page parsing works on the raw HTML string.
  */
 class BaseSiteParser {
   static siteId = '';
   static siteName = '';
   static urlPattern = null;
+  // Chapter reader pages; the first group is the manga slug
+  static chapterUrlPattern = null;
+  // Origins requested at runtime when the user enables the site
+  static hostPermissions = [];
+  // Pages the content script is registered on for this site
+  static contentScriptMatches = [];
+  // Upper bound on chapter list pages fetched in one go
+  static maxChapterPages = 50;
+  // Network hook; the service worker routes it through its request queue
+  static fetcher = (url) => fetch(url);
 
   /**
    * Check if this parser can handle the given URL
@@ -28,6 +41,27 @@ class BaseSiteParser {
     return match ? match[1] : null;
   }
 
+  /**
+   * Check if the URL is a chapter page of this site
+   * @param {string} url - The URL to check
+   * @returns {boolean}
+   */
+  static isChapterUrl(url) {
+    if (!this.chapterUrlPattern) return false;
+    return this.chapterUrlPattern.test(url);
+  }
+
+  /**
+   * Extract the manga slug from a chapter page URL
+   * @param {string} url - The chapter page URL
+   * @returns {string|null}
+   */
+  static extractChapterSlug(url) {
+    if (!this.chapterUrlPattern) return null;
+    const match = url.match(this.chapterUrlPattern);
+    return match ? match[1] : null;
+  }
+
   /**
    * Generate a unique ID for a manga
    * @param {string} slug - The manga slug
@@ -38,28 +72,94 @@ class BaseSiteParser {
   }
 
   /**
-   * Parse manga info from HTML document
-   * @param {Document} doc - The parsed HTML document
+   * Parse manga info from the raw HTML of a manga page
+   *
+   * The result carries the full chapter list (`chapters`, newest first,
+   * each `{ num, title, url, releasedAt }`) and `chaptersComplete`, which is
+   * true only when the list reaches the very first chapter.
+   * @param {string} html - The manga page HTML
    * @param {string} url - The original URL
-   * @returns {Object} Manga info object
+   * @param {Object} [options]
+   * @param {Function} [options.isKnownChapter] - Stop paging once a page holds a chapter this returns true for
+   * @returns {Promise<Object>|Object} Manga info object
    */
-  static parseMangaInfo(doc, url) {
+  static parseMangaInfo(html, url, options = {}) {
     throw new Error('parseMangaInfo must be implemented by subclass');
   }
 
   /**
    * Fetch and parse manga info from URL
    * @param {string} url - The manga page URL
+   * @param {Object} [options] - Passed through to parseMangaInfo
    * @returns {Promise<Object>} Manga info object
    */
-  static async fetchMangaInfo(url) {
-    const response = await fetch(url);
+  static async fetchMangaInfo(url, options = {}) {
+    const html = await this.fetchHtml(url);
+    return this.parseMangaInfo(html, url, options);
+  }
+
+  /**
+   * Fetch a paginated chapter list, newest first
+   * @param {Function} fetchPage - Resolves to the chapters on a 1-based page
+   * @param {Function} [isKnownChapter] - Stop after a page that holds a known chapter
+   * @returns {Promise<{chapters: Array, complete: boolean}>}
+   */
+  static async fetchChapterPages(fetchPage, isKnownChapter) {
+    const chapters = [];
+    const seenUrls = new Set();
+
+    for (let page = 1; page <= this.maxChapterPages; page++) {
+      const pageChapters = (await fetchPage(page)).filter(ch => !seenUrls.has(ch.url));
+
+      // An empty page, or one that repeats what we have, is past the end
+      if (pageChapters.length === 0) {
+        return { chapters, complete: true };
+      }
+
+      for (const chapter of pageChapters) {
+        seenUrls.add(chapter.url);
+        chapters.push(chapter);
+      }
+
+      if (isKnownChapter && pageChapters.some(ch => isKnownChapter(ch))) {
+        return { chapters, complete: false };
+      }
+    }
+
+    return { chapters, complete: false };
+  }
+
+  /**
+   * Build the latest* fields of a manga info object from its chapter list
+   * @param {Array} chapters - Chapters, newest first
+   * @returns {{latestChapter: string, latestChapterNum: number, latestChapterUrl: string}}
+   */
+  static summarizeChapters(chapters) {
+    const latest = chapters[0];
+    return {
+      latestChapter: latest ? latest.title : '',
+      latestChapterNum: latest ? latest.num : 0,
+      latestChapterUrl: latest ? latest.url : ''
+    };
+  }
+
+  /**
+   * Fetch a page and return its body as text
+   * Error statuses throw with the status; 429 and 5xx also get kind 'server'
+   * @param {string} url - The URL to fetch
+   * @returns {Promise<string>}
+   */
+  static async fetchHtml(url) {
+    const response = await this.fetcher(url);
     if (!response.ok) {
-      throw new Error(`Failed to fetch: ${response.status}`);
+      const error = new Error(`Failed to fetch: ${response.status}`);
+      error.status = response.status;
+      if (response.status === 429 || response.status >= 500) {
+        error.kind = 'server';
+      }
+      throw error;
     }
-    const html = await response.text();
-    const doc = new DOMParser().parseFromString(html, 'text/html');
-    return this.parseMangaInfo(doc, url);
+    return response.text();
   }
 
   /**
@@ -72,6 +172,119 @@ class BaseSiteParser {
     const match = chapterStr.match(/(\d+(?:\.\d+)?)/);
     return match ? parseFloat(match[1]) : 0;
   }
+
+  /**
+   * Turn a release time from a chapter list into a timestamp
+   * @param {string} text - ISO date, date string or relative time like "3 hours ago"
+   * @param {number} [now] - Reference time for relative values
+   * @returns {number|null}
+   */
+  static parseReleaseTime(text, now = Date.now()) {
+    if (!text) return null;
+
+    const agoMatch = text.match(/(\d+|an?)\s+(second|min(?:ute)?|hour|day|week|month|year)s?\s+ago/i);
+    if (agoMatch) {
+      const amount = /^an?$/i.test(agoMatch[1]) ? 1 : parseInt(agoMatch[1], 10);
+      const unitMs = {
+        second: 1000,
+        min: 60000,
+        minute: 60000,
+        hour: 3600000,
+        day: 86400000,
+        week: 604800000,
+        month: 2592000000,
+        year: 31536000000
+      }[agoMatch[2].toLowerCase()];
+      return now - amount * unitMs;
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Read the content of a <meta property="..."> tag
+   * @param {string} html - Page HTML
+   * @param {string} property - Meta property, e.g. "og:image"
+   * @returns {string}
+   */
+  static extractMeta(html, property) {
+    const escaped = this.escapeRegExp(property);
+    const match = html.match(new RegExp(`<meta\\s+property=["']${escaped}["']\\s+content=["']([^"']+)["']`, 'i'));
+    return match ? this.decodeEntities(match[1]) : '';
+  }
+
+  /**
+   * Extract the alternative titles listed on a manga page
+   * Finds a label like "Alternative Titles" or "Other Names" and splits the
+   * text that follows it.
+   * @param {string} html - The manga page HTML
+   * @returns {string[]}
+   */
+  static extractAltTitles(html) {
+    const match = html.match(/(?:Alternative\s+(?:Titles?|Names?)|Other\s+Names?|Also\s+Known\s+As)\s*:?\s*(?:<[^>]+>\s*)*([^<]+)/i);
+    if (!match) return [];
+
+    return this.decodeEntities(match[1])
+      .split(/\s*[,;|\n]\s*|\s+\/\s+/)
+      .map(title => title.trim())
+      .filter(title => title && title.length <= 200);
+  }
+
+  /**
+   * Decode the HTML entities that commonly appear in titles
+   * @param {string} text - Text with HTML entities
+   * @returns {string}
+   */
+  static decodeEntities(text) {
+    if (!text) return '';
+    return text
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&#039;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Escape a string for use inside a RegExp
+   * @param {string} text - Literal text
+   * @returns {string}
+   */
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Resolve a possibly relative link against the page URL
+   * @param {string} href - Link as found in the page
+   * @param {string} baseUrl - URL of the page the link was found on
+   * @returns {string}
+   */
+  static resolveUrl(href, baseUrl) {
+    if (!href) return '';
+    return new URL(href.trim(), baseUrl).href;
+  }
+
+  /**
+   * Find where the content script should insert the "Track Updates" button
+   * @param {Document} doc - The document
+   * @returns {{element: Element, position: string}|null} position is 'after' or 'inside'
+   */
+  static getButtonInsertTarget(doc) {
+    return null;
+  }
+
+  /**
+   * Find the last page image of a chapter reader page
+   * @param {Document} doc - The document
+   * @returns {Element|null} null when the site's reader isn't recognized
+   */
+  static getChapterEndElement(doc) {
+    return null;
+  }
 }
 
 // Export for use in other modules
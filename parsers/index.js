@@ -3,12 +3,12 @@
  * Add new parsers here when adding support for new sites
  */
 
-// Import parsers (in content script context, these will be loaded separately)
-// For service worker, we'll need to define them inline or use importScripts
+// Parser classes are loaded as separate scripts before this file
+// (importScripts in the service worker, script tags elsewhere)
 
 const parsers = [];
 
-// RawkumaParser will be added when the script loads
+// Site parsers are added below when their scripts have loaded
 // This allows for dynamic parser registration
 
 /**
@@ -35,6 +35,20 @@ function getParserForUrl(url) {
   return null;
 }
 
+/**
+ * Get parser for a chapter page URL
+ * @param {string} url - The URL to find a parser for
+ * @returns {Object|null} Parser class or null
+ */
+function getParserForChapterUrl(url) {
+  for (const parser of parsers) {
+    if (parser.isChapterUrl(url)) {
+      return parser;
+    }
+  }
+  return null;
+}
+
 /**
  * Get parser by site ID
  * @param {string} siteId - The site ID
@@ -57,16 +71,20 @@ function getAllParsers() {
   return [...parsers];
 }
 
-// Register RawkumaParser if it exists
+// Register site parsers that have been loaded
 if (typeof RawkumaParser !== 'undefined') {
   registerParser(RawkumaParser);
 }
+if (typeof SenMangaParser !== 'undefined') {
+  registerParser(SenMangaParser);
+}
 
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     registerParser,
     getParserForUrl,
+    getParserForChapterUrl,
     getParserById,
     getAllParsers
   };
@@ -1,149 +1,75 @@
 /**
  * Parser for rawkuma.net manga site
  */
-class RawkumaParser {
+class RawkumaParser extends BaseSiteParser {
   static siteId = 'rawkuma';
   static siteName = 'Rawkuma';
   static urlPattern = /^https?:\/\/rawkuma\.net\/manga\/([^\/]+)\/?$/;
+  static chapterUrlPattern = /^https?:\/\/rawkuma\.net\/manga\/([^\/]+)\/chapter-\d/;
+  static hostPermissions = ['*://rawkuma.net/*'];
+  static contentScriptMatches = ['*://rawkuma.net/manga/*'];
 
   /**
-   * Check if this parser can handle the given URL
-   * @param {string} url - The URL to check
-   * @returns {boolean}
-   */
-  static canHandle(url) {
-    return this.urlPattern.test(url);
-  }
-
-  /**
-   * Extract the manga slug from URL
-   * @param {string} url - The manga page URL
-   * @returns {string|null}
-   */
-  static extractSlug(url) {
-    const match = url.match(this.urlPattern);
-    return match ? match[1] : null;
-  }
-
-  /**
-   * Generate a unique ID for a manga
-   * @param {string} slug - The manga slug
-   * @returns {string}
-   */
-  static generateId(slug) {
-    return `${this.siteId}:${slug}`;
-  }
-
-  /**
-   * Extract chapter number from chapter string
-   * @param {string} chapterStr - Chapter string like "Chapter 80"
-   * @returns {number}
-   */
-  static extractChapterNumber(chapterStr) {
-    if (!chapterStr) return 0;
-    const match = chapterStr.match(/(\d+(?:\.\d+)?)/);
-    return match ? parseFloat(match[1]) : 0;
-  }
-
-  /**
-   * Parse manga info from HTML document
-   * @param {Document} doc - The parsed HTML document
+   * Parse manga info from the raw HTML of a manga page
+   * @param {string} html - The manga page HTML
    * @param {string} url - The original URL
-   * @returns {Object} Manga info object
+   * @param {Object} [options] - See BaseSiteParser.parseMangaInfo
+   * @returns {Promise<Object>} Manga info object
    */
-  static parseMangaInfo(doc, url) {
+  static async parseMangaInfo(html, url, options = {}) {
     const slug = this.extractSlug(url);
 
-    // Title - from h4 heading in article
-    const titleEl = doc.querySelector('article h4');
-    const title = titleEl?.textContent?.trim() || 'Unknown';
-
-    // Thumbnail - main manga image
-    const thumbnailEl = doc.querySelector('article img[alt]');
-    const thumbnail = thumbnailEl?.src || '';
-
-    // Find chapters tab panel - look for links that contain chapter info
-    const chapterLinks = doc.querySelectorAll('a[href*="/chapter-"]');
-    let latestChapter = '';
-    let latestChapterNum = 0;
-    let latestChapterUrl = '';
-
-    if (chapterLinks.length > 0) {
-      // First chapter link should be the latest
-      const firstChapterLink = chapterLinks[0];
-      latestChapterUrl = firstChapterLink.href;
-
-      // Find chapter text within the link
-      const chapterTextEl = firstChapterLink.querySelector('span, div');
-      if (chapterTextEl) {
-        latestChapter = chapterTextEl.textContent.trim();
-      } else {
-        // Try to get text content directly
-        const textNodes = Array.from(firstChapterLink.childNodes)
-          .filter(n => n.nodeType === Node.TEXT_NODE || n.nodeName !== 'IMG')
-          .map(n => n.textContent?.trim())
-          .filter(t => t && t.includes('Chapter'));
-        latestChapter = textNodes[0] || '';
-      }
-
-      // Also try looking for chapter number in nearby elements
-      if (!latestChapter) {
-        const parent = firstChapterLink.parentElement;
-        const spans = parent?.querySelectorAll('span, div');
-        for (const span of spans || []) {
-          const text = span.textContent?.trim();
-          if (text && text.match(/Chapter\s+\d/i)) {
-            latestChapter = text;
-            break;
-          }
-        }
-      }
-
-      latestChapterNum = this.extractChapterNumber(latestChapter);
+    // Title - extract from <title> tag (format: "Manga Name - Rawkuma")
+    let title = 'Unknown';
+    const titleMatch = html.match(/<title>([^<]+)<\/title>/i);
+    if (titleMatch) {
+      title = this.decodeEntities(titleMatch[1]).replace(/\s*-\s*Rawkuma\s*$/i, '').trim();
     }
 
-    // Last updated - look for "Last Updates" heading and get next sibling text
+    // Thumbnail - og:image meta tag is more reliable than the article image
+    const thumbnail = this.extractMeta(html, 'og:image');
+
+    let chapters = [];
+    let chaptersComplete = false;
     let lastUpdated = '';
-    const allElements = doc.querySelectorAll('*');
-    for (const el of allElements) {
-      if (el.textContent?.trim() === 'Last Updates') {
-        const nextEl = el.nextElementSibling;
-        if (nextEl) {
-          lastUpdated = nextEl.textContent?.trim() || '';
-          break;
-        }
-      }
-    }
 
-    // Alternative: look for time-related text near chapter links
-    if (!lastUpdated && chapterLinks.length > 0) {
-      const firstLink = chapterLinks[0];
-      const parent = firstLink.closest('div, li, article');
-      if (parent) {
-        const timeEl = parent.querySelector('[class*="time"], [class*="date"], [class*="ago"]');
-        if (timeEl) {
-          lastUpdated = timeEl.textContent?.trim() || '';
-        } else {
-          // Look for text containing "ago"
-          const textContent = parent.textContent;
-          const agoMatch = textContent.match(/(\d+\s+(?:minute|hour|day|week|month|year)s?\s+ago)/i);
-          if (agoMatch) {
-            lastUpdated = agoMatch[1];
+    // Chapter list is served by a paginated API keyed on the internal manga_id
+    const mangaIdMatch = html.match(/manga_id[=:](\d+)/);
+    if (mangaIdMatch) {
+      try {
+        const result = await this.fetchChapterPages(async (page) => {
+          const chapterHtml = await this.fetchHtml(this.getChapterListUrl(url, mangaIdMatch[1], page));
+          if (page === 1) {
+            const timeMatch = chapterHtml.match(/<time[^>]*>([^<]+)<\/time>/);
+            lastUpdated = timeMatch ? timeMatch[1].trim() : '';
           }
-        }
+          return this.parseChapterList(chapterHtml, url);
+        }, options.isKnownChapter);
+        chapters = result.chapters;
+        chaptersComplete = result.complete;
+      } catch (apiError) {
+        console.error('Failed to fetch chapter list API:', apiError);
+        chapters = [];
       }
     }
 
+    // Fallback: chapter links on the manga page itself (may be truncated)
+    if (chapters.length === 0) {
+      chapters = this.parseChapterLinks(html, url);
+      chaptersComplete = false;
+    }
+
     return {
       site: this.siteId,
       slug,
       url,
       title,
+      altTitles: this.extractAltTitles(html),
       thumbnail,
-      latestChapter,
-      latestChapterNum,
-      latestChapterUrl,
+      ...this.summarizeChapters(chapters),
       lastUpdated,
+      chapters,
+      chaptersComplete,
       lastChecked: Date.now(),
       isRead: true,
       notifyEnabled: true,
@@ -152,40 +78,126 @@ class RawkumaParser {
   }
 
   /**
-   * Fetch and parse manga info from URL
-   * @param {string} url - The manga page URL
-   * @returns {Promise<Object>} Manga info object
+   * Parse one page of the chapter list API response
+   * @param {string} chapterHtml - HTML returned by admin-ajax.php
+   * @param {string} url - The manga page URL, for resolving links
+   * @returns {Array} Chapters, newest first
    */
-  static async fetchMangaInfo(url) {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch: ${response.status}`);
+  static parseChapterList(chapterHtml, url) {
+    const chapters = [];
+    // Each chapter block starts at the element carrying data-chapter-number
+    const blocks = chapterHtml.split(/(?=<[^>]+data-chapter-number=)/i);
+
+    for (const block of blocks) {
+      const numMatch = block.match(/data-chapter-number=["'](\d+(?:\.\d+)?)["']/);
+      const urlMatch = block.match(/href=["']([^"']*\/chapter-[^"']*)["']/);
+      if (!numMatch || !urlMatch) continue;
+
+      const text = this.decodeEntities(block.replace(/<time[\s\S]*?<\/time>/gi, ' ').replace(/<[^>]+>/g, ' '));
+      const titleMatch = text.match(/Chapter\s+\d+(?:\.\d+)?[^\n]*?(?=\s{2,}|$)/i);
+      const datetimeMatch = block.match(/<time[^>]*datetime=["']([^"']+)["']/i);
+      const timeMatch = block.match(/<time[^>]*>([^<]+)<\/time>/i);
+
+      chapters.push({
+        num: parseFloat(numMatch[1]),
+        title: titleMatch ? titleMatch[0].trim() : `Chapter ${numMatch[1]}`,
+        url: this.resolveUrl(urlMatch[1], url),
+        releasedAt: this.parseReleaseTime(datetimeMatch?.[1] || timeMatch?.[1])
+      });
     }
-    const html = await response.text();
-    const doc = new DOMParser().parseFromString(html, 'text/html');
-    return this.parseMangaInfo(doc, url);
+
+    return chapters;
+  }
+
+  /**
+   * Collect chapter links straight from the manga page
+   * @param {string} html - The manga page HTML
+   * @param {string} url - The manga page URL, for resolving links
+   * @returns {Array} Chapters, newest first
+   */
+  static parseChapterLinks(html, url) {
+    const chapters = [];
+    const seen = new Set();
+    const linkPattern = /<a[^>]+href=["']([^"']*\/chapter-(\d+(?:\.\d+)?)[^"']*)["'][^>]*>/gi;
+
+    for (const match of html.matchAll(linkPattern)) {
+      const chapterUrl = this.resolveUrl(match[1], url);
+      if (seen.has(chapterUrl)) continue;
+      seen.add(chapterUrl);
+
+      chapters.push({
+        num: parseFloat(match[2]),
+        title: `Chapter ${match[2]}`,
+        url: chapterUrl,
+        releasedAt: null
+      });
+    }
+
+    return chapters.sort((a, b) => b.num - a.num);
+  }
+
+  /**
+   * Build the admin-ajax URL that returns one page of the chapter list
+   * @param {string} url - The manga page URL
+   * @param {string} mangaId - Internal WordPress manga_id
+   * @param {number} page - 1-based page number
+   * @returns {string}
+   */
+  static getChapterListUrl(url, mangaId, page) {
+    const apiUrl = new URL('/wp-admin/admin-ajax.php', url);
+    apiUrl.searchParams.set('manga_id', mangaId);
+    apiUrl.searchParams.set('page', String(page));
+    apiUrl.searchParams.set('action', 'chapter_list');
+    return apiUrl.href;
   }
 
   /**
    * Get button insert target for content script
    * @param {Document} doc - The document
-   * @returns {Element|null}
+   * @returns {{element: Element, position: string}|null}
    */
   static getButtonInsertTarget(doc) {
-    // Look for Bookmark button
-    const bookmarkBtn = doc.querySelector('button[type="button"]');
-    if (bookmarkBtn) {
-      const parent = bookmarkBtn.parentElement;
-      // Look for button containing "Bookmark" text
-      const buttons = parent?.querySelectorAll('button');
-      for (const btn of buttons || []) {
-        if (btn.textContent?.includes('Bookmark')) {
-          return btn;
+    // Look for the buttons container (Chapter 1 and Bookmark area)
+    const buttons = doc.querySelectorAll('button[type="button"]');
+    for (const btn of buttons) {
+      if (btn.textContent?.includes('Bookmark')) {
+        const parent = btn.closest('div');
+        if (parent) {
+          return { element: parent, position: 'after' };
         }
       }
     }
+
+    // Alternative: the region with the manga details
+    const article = doc.querySelector('article');
+    if (article) {
+      const region = article.querySelector('region') || article.querySelector('div');
+      if (region) {
+        return { element: region, position: 'inside' };
+      }
+    }
+
+    // Fallback: after the first image in article
+    const articleImg = doc.querySelector('article img');
+    if (articleImg) {
+      const imgParent = articleImg.closest('div');
+      if (imgParent) {
+        return { element: imgParent, position: 'after' };
+      }
+    }
+
     return null;
   }
+
+  /**
+   * Get the last page image of the chapter reader
+   * @param {Document} doc - The document
+   * @returns {Element|null}
+   */
+  static getChapterEndElement(doc) {
+    const images = doc.querySelectorAll('#readerarea img');
+    return images[images.length - 1] || null;
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,133 @@
+/**
+ * Parser for raw.senmanga.com manga site
+ *
+ * Series live at the site root (/<slug>) and chapters below them
+ * (/<slug>/<number>), so chapter links are recognised by URL shape.
+ */
+class SenMangaParser extends BaseSiteParser {
+  static siteId = 'senmanga';
+  static siteName = 'Sen Manga';
+  static urlPattern = /^https?:\/\/raw\.senmanga\.com\/(?!(?:directory|latest|search|login|register|bookmark|genre|author|upload|contact)(?:[\/?#]|$))([^\/?#]+)\/?$/;
+  // Chapter pages may carry a page number: /<slug>/<chapter>/<page>
+  static chapterUrlPattern = /^https?:\/\/raw\.senmanga\.com\/([^\/?#]+)\/\d+(?:\.\d+)?(?:\/\d+)?\/?(?:[?#]|$)/;
+  static hostPermissions = ['*://raw.senmanga.com/*'];
+  static contentScriptMatches = ['*://raw.senmanga.com/*'];
+
+  /**
+   * Parse manga info from the raw HTML of a series page
+   * @param {string} html - The series page HTML
+   * @param {string} url - The original URL
+   * @returns {Object} Manga info object
+   */
+  static parseMangaInfo(html, url) {
+    const slug = this.extractSlug(url);
+
+    // Title - og:title first, then the series heading
+    let title = this.extractMeta(html, 'og:title').replace(/\s*[-|]\s*(?:Raw\s+)?Sen\s*Manga.*$/i, '').trim();
+    if (!title) {
+      const headingMatch = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+      title = headingMatch ? this.decodeEntities(headingMatch[1].replace(/<[^>]+>/g, '')).trim() : '';
+    }
+
+    const thumbnail = this.extractMeta(html, 'og:image');
+
+    // The series page lists every chapter, newest first
+    const chapters = this.parseChapterLinks(html, url, slug);
+    const lastUpdated = chapters.length > 0 ? this.findReleaseText(html, chapters[0].url) : '';
+
+    return {
+      site: this.siteId,
+      slug,
+      url,
+      title: title || 'Unknown',
+      altTitles: this.extractAltTitles(html),
+      thumbnail,
+      ...this.summarizeChapters(chapters),
+      lastUpdated,
+      chapters,
+      chaptersComplete: chapters.length > 0,
+      lastChecked: Date.now(),
+      isRead: true,
+      notifyEnabled: true,
+      addedAt: Date.now()
+    };
+  }
+
+  /**
+   * Collect chapter links (/<slug>/<number>) from the series page
+   * @param {string} html - The series page HTML
+   * @param {string} url - The series page URL, for resolving links
+   * @param {string} slug - The series slug
+   * @returns {Array} Chapters, newest first
+   */
+  static parseChapterLinks(html, url, slug) {
+    const chapters = [];
+    const seen = new Set();
+    const linkPattern = new RegExp(
+      `<a[^>]+href=["']((?:https?:\\/\\/raw\\.senmanga\\.com)?\\/${this.escapeRegExp(slug || '')}\\/(\\d+(?:\\.\\d+)?)\\/?)["'][^>]*>([\\s\\S]*?)<\\/a>`,
+      'gi'
+    );
+
+    for (const match of html.matchAll(linkPattern)) {
+      const chapterUrl = this.resolveUrl(match[1], url);
+      if (seen.has(chapterUrl)) continue;
+      seen.add(chapterUrl);
+
+      // Release time sits next to the link inside the same list item
+      const rest = html.slice(match.index, match.index + 1000);
+      const datetimeMatch = rest.match(/<time[^>]*datetime=["']([^"']+)["']/i);
+      const label = this.decodeEntities(match[3].replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+      chapters.push({
+        num: parseFloat(match[2]),
+        title: /chapter/i.test(label) ? label : `Chapter ${match[2]}`,
+        url: chapterUrl,
+        releasedAt: this.parseReleaseTime(datetimeMatch?.[1] || this.findReleaseText(html, chapterUrl, match.index))
+      });
+    }
+
+    return chapters.sort((a, b) => b.num - a.num);
+  }
+
+  /**
+   * Find the displayed release time following a chapter link
+   * @param {string} html - The series page HTML
+   * @param {string} chapterUrl - Absolute chapter URL
+   * @param {number} [fromIndex] - Position of the link, if already known
+   * @returns {string}
+   */
+  static findReleaseText(html, chapterUrl, fromIndex) {
+    const index = fromIndex ?? html.indexOf(new URL(chapterUrl).pathname);
+    if (index < 0) return '';
+    const timeMatch = html.slice(index, index + 1000).match(/<time[^>]*>([^<]+)<\/time>/i);
+    return timeMatch ? timeMatch[1].trim() : '';
+  }
+
+  /**
+   * Get button insert target for content script
+   * @param {Document} doc - The document
+   * @returns {{element: Element, position: string}|null}
+   */
+  static getButtonInsertTarget(doc) {
+    const heading = doc.querySelector('.series-desc h1, .desc h1, h1');
+    if (heading) {
+      return { element: heading, position: 'after' };
+    }
+    return null;
+  }
+
+  /**
+   * Get the page image of the chapter reader, which shows one page at a time
+   * @param {Document} doc - The document
+   * @returns {Element|null}
+   */
+  static getChapterEndElement(doc) {
+    const images = doc.querySelectorAll('.reader img, img.picture');
+    return images[images.length - 1] || null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SenMangaParser };
+}
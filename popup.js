@@ -10,18 +10,41 @@ const elements = {
   updatesEmpty: document.getElementById('updates-empty'),
   libraryList: document.getElementById('library-list'),
   libraryEmpty: document.getElementById('library-empty'),
+  searchInput: document.getElementById('search-input'),
+  tagShownBtn: document.getElementById('tag-shown-btn'),
+  selectBtn: document.getElementById('select-btn'),
+  batchBar: document.getElementById('batch-bar'),
+  batchCount: document.getElementById('batch-count'),
+  selectAllBtn: document.getElementById('select-all-btn'),
+  batchAction: document.getElementById('batch-action'),
+  batchApplyBtn: document.getElementById('batch-apply-btn'),
   filterSelect: document.getElementById('filter-select'),
+  tagFilter: document.getElementById('tag-filter'),
   sortSelect: document.getElementById('sort-select'),
   markAllReadBtn: document.getElementById('mark-all-read-btn'),
   checkNowBtn: document.getElementById('check-now-btn'),
   settingsBtn: document.getElementById('settings-btn'),
+  content: document.querySelector('.content'),
   loading: document.getElementById('loading')
 };
 
+// History entries read from IndexedDB per scroll step
+const UPDATES_PAGE_SIZE = 30;
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 150;
+
 // State
 let currentTab = 'updates';
 let mangas = {};
 let updates = [];
+let updatesCursor = null;
+let loadingMoreUpdates = false;
+let searchQuery = ''; // lower case; shared by both tabs
+let searchTimer = null;
+let shownMangaIds = []; // Library items after filtering, for bulk tagging
+let selectMode = false;
+let selectedIds = new Set();
+let lastSelectedId = null; // anchor for shift-click ranges
 
 // ============= Initialization =============
 
@@ -44,6 +67,7 @@ async function init() {
   }
 
   renderCurrentTab();
+  await showSnoozeFocus();
   console.log('Popup init completed');
 }
 
@@ -55,11 +79,33 @@ function setupEventListeners() {
     });
   });
 
-  // Filter & Sort
-  elements.filterSelect.addEventListener('change', renderCurrentTab);
+  // Search, Filter & Sort
+  elements.searchInput.addEventListener('input', handleSearchInput);
+  elements.searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && elements.searchInput.value) {
+      e.preventDefault();
+      elements.searchInput.value = '';
+      handleSearchInput();
+    }
+  });
+  elements.filterSelect.addEventListener('change', handleFilterChange);
+  elements.tagFilter.addEventListener('change', handleFilterChange);
   elements.sortSelect.addEventListener('change', renderCurrentTab);
 
+  // Load older history when scrolled near the bottom
+  elements.content.addEventListener('scroll', () => {
+    if (currentTab === 'updates' && isNearBottom()) {
+      loadMoreUpdates();
+    }
+  });
+
   // Actions
+  elements.tagShownBtn.addEventListener('click', handleTagShown);
+  elements.selectBtn.addEventListener('click', () => setSelectMode(!selectMode));
+  elements.selectAllBtn.addEventListener('click', handleSelectAll);
+  elements.batchAction.addEventListener('change', updateSelectionUI);
+  elements.batchApplyBtn.addEventListener('click', handleBatchApply);
+  renderBatchTierOptions();
   elements.markAllReadBtn.addEventListener('click', handleMarkAllRead);
   elements.checkNowBtn.addEventListener('click', handleCheckNow);
   elements.settingsBtn.addEventListener('click', () => {
@@ -74,21 +120,89 @@ async function loadData() {
 
   // Read directly from chrome.storage.local for reliability
   try {
-    const result = await chrome.storage.local.get(['mangas', 'updates']);
+    const result = await chrome.storage.local.get('mangas');
     console.log('Storage result:', result);
 
     mangas = result.mangas || {};
-    updates = result.updates || [];
-
     console.log('Loaded mangas:', Object.keys(mangas).length, mangas);
-    console.log('Loaded updates:', updates.length);
   } catch (error) {
     console.error('Failed to load data from storage:', error);
     mangas = {};
+  }
+  renderTagOptions();
+
+  // History is read from IndexedDB; writes go through the background
+  try {
+    await reloadUpdates();
+    console.log('Loaded updates:', updates.length);
+  } catch (error) {
+    console.error('Failed to load history:', error);
     updates = [];
+    updatesCursor = null;
+  }
+}
+
+/**
+ * Read history from the newest entry again, keeping as many entries as are loaded
+ */
+async function reloadUpdates() {
+  const page = await getHistoryPage({
+    limit: Math.max(UPDATES_PAGE_SIZE, updates.length),
+    filter: getUpdatesFilter()
+  });
+  updates = page.entries;
+  updatesCursor = page.nextCursor;
+}
+
+/**
+ * Append the next page of history and render it
+ */
+async function loadMoreUpdates() {
+  if (!updatesCursor || loadingMoreUpdates) return;
+  loadingMoreUpdates = true;
+
+  try {
+    const page = await getHistoryPage({
+      cursor: updatesCursor,
+      limit: UPDATES_PAGE_SIZE,
+      filter: getUpdatesFilter()
+    });
+    updates = updates.concat(page.entries);
+    updatesCursor = page.nextCursor;
+  } catch (error) {
+    console.error('Failed to load more history:', error);
+    updatesCursor = null;
+  } finally {
+    loadingMoreUpdates = false;
+  }
+
+  if (currentTab === 'updates') {
+    renderUpdates();
   }
 }
 
+/**
+ * The read/unread filter and the search, applied while paging so every page is full
+ * @returns {Function|null}
+ */
+function getUpdatesFilter() {
+  const filter = elements.filterSelect.value;
+  const tag = elements.tagFilter.value;
+  let readFilter = null;
+  if (filter === 'unread') readFilter = (u) => !u.isRead && !isSnoozed(u);
+  if (filter === 'read') readFilter = (u) => u.isRead;
+
+  if (!searchQuery && !tag) return readFilter;
+  return (u) => (!readFilter || readFilter(u)) &&
+    (!tag || hasTag(mangas[u.id], tag)) &&
+    (!searchQuery || matchesSearch(mangas[u.id] || u));
+}
+
+function isNearBottom() {
+  const { scrollTop, scrollHeight, clientHeight } = elements.content;
+  return scrollHeight - scrollTop - clientHeight < 100;
+}
+
 // ============= Tab Management =============
 
 function switchTab(tabName) {
@@ -105,6 +219,13 @@ function switchTab(tabName) {
     content.classList.toggle('hidden', !isActive);
   });
 
+  // Bulk tagging and selection work on the Library list
+  elements.tagShownBtn.classList.toggle('hidden', tabName !== 'library');
+  elements.selectBtn.classList.toggle('hidden', tabName !== 'library');
+  if (tabName !== 'library') {
+    setSelectMode(false);
+  }
+
   renderCurrentTab();
 }
 
@@ -119,40 +240,24 @@ function renderCurrentTab() {
 // ============= Updates Tab =============
 
 function renderUpdates() {
-  const filter = elements.filterSelect.value;
   const sort = elements.sortSelect.value;
 
-  let filteredUpdates = [...updates];
-
-  // Filter
-  if (filter === 'unread') {
-    filteredUpdates = filteredUpdates.filter(u => !u.isRead);
-  } else if (filter === 'read') {
-    filteredUpdates = filteredUpdates.filter(u => u.isRead);
+  // Loaded pages are already filtered and newest first
+  const groups = groupUpdatesByManga(updates);
+  if (sort === 'title') {
+    groups.sort((a, b) => a.title.localeCompare(b.title));
   }
 
-  // Sort
-  filteredUpdates.sort((a, b) => {
-    if (sort === 'updated') {
-      return b.detectedAt - a.detectedAt;
-    } else if (sort === 'added') {
-      return b.detectedAt - a.detectedAt;
-    } else if (sort === 'title') {
-      return a.title.localeCompare(b.title);
-    }
-    return 0;
-  });
-
   // Render
-  if (filteredUpdates.length === 0) {
+  if (groups.length === 0) {
     elements.updatesList.innerHTML = '';
     elements.updatesEmpty.classList.remove('hidden');
   } else {
     elements.updatesEmpty.classList.add('hidden');
-    elements.updatesList.innerHTML = filteredUpdates.map(update => createUpdateItem(update)).join('');
+    elements.updatesList.innerHTML = groups.map(group => createUpdateGroup(group)).join('');
 
     // Add event listeners
-    elements.updatesList.querySelectorAll('.manga-item').forEach(item => {
+    elements.updatesList.querySelectorAll('.update-group > .manga-item').forEach(item => {
       item.addEventListener('click', (e) => {
         if (!e.target.closest('button')) {
           handleOpenManga(item.dataset.id);
@@ -160,33 +265,123 @@ function renderUpdates() {
       });
     });
 
+    elements.updatesList.querySelectorAll('.update-chapter').forEach(row => {
+      row.addEventListener('click', (e) => {
+        if (!e.target.closest('button')) {
+          handleOpenChapter(row.dataset.id, parseChapterNum(row.dataset.chapterNum), row.dataset.url);
+        }
+      });
+    });
+
     elements.updatesList.querySelectorAll('.mark-read-btn').forEach(btn => {
-      btn.addEventListener('click', () => handleMarkRead(btn.dataset.id));
+      btn.addEventListener('click', () => handleMarkRead(btn.dataset.id, parseChapterNum(btn.dataset.chapterNum)));
     });
+
+    elements.updatesList.querySelectorAll('.snooze-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        btn.closest('.update-group').querySelector('.snooze-menu').classList.toggle('hidden');
+      });
+    });
+
+    elements.updatesList.querySelectorAll('.snooze-menu button').forEach(btn => {
+      btn.addEventListener('click', () => handleSnooze(btn.dataset.id, btn.dataset.option));
+    });
+  }
+
+  // Keep loading until the list fills the view or history runs out
+  if (updatesCursor && isNearBottom()) {
+    loadMoreUpdates();
+  }
+}
+
+/**
+ * Group update entries by manga, keeping the order of each manga's newest entry
+ * @param {Array} list - Update entries, newest first
+ * @returns {Array<{id: string, title: string, thumbnail: string, entries: Array}>}
+ */
+function groupUpdatesByManga(list) {
+  const groups = new Map();
+
+  for (const update of list) {
+    if (!groups.has(update.id)) {
+      groups.set(update.id, {
+        id: update.id,
+        title: update.title,
+        thumbnail: update.thumbnail,
+        entries: []
+      });
+    }
+    groups.get(update.id).entries.push(update);
   }
+
+  return [...groups.values()];
 }
 
-function createUpdateItem(update) {
-  const timeAgo = formatTimeAgo(update.detectedAt);
+function createUpdateGroup(group) {
+  const unreadCount = group.entries.filter(u => !u.isRead && !isSnoozed(u)).length;
+  const snoozedUntil = Math.min(...group.entries.filter(u => !u.isRead && isSnoozed(u)).map(u => u.snoozedUntil));
+  const latest = group.entries[0];
+  const summary = group.entries.length > 1
+    ? `${group.entries.length} new chapters`
+    : latest.newChapter;
+  const time = unreadCount === 0 && snoozedUntil !== Infinity
+    ? `Snoozed until ${formatSnoozeEnd(snoozedUntil)}`
+    : formatTimeAgo(latest.detectedAt);
 
   return `
-    <div class="manga-item ${update.isRead ? '' : 'unread'}" data-id="${update.id}">
-      <img class="manga-thumbnail" src="${update.thumbnail || 'icons/icon48.png'}" alt="${update.title}">
-      <div class="manga-info">
-        <div class="manga-title">${escapeHtml(update.title)}</div>
-        <div class="manga-chapter">
-          <span class="old">${escapeHtml(update.oldChapter)}</span>
-          <span class="new">${escapeHtml(update.newChapter)}</span>
+    <div class="update-group">
+      <div class="manga-item ${unreadCount > 0 ? 'unread' : ''}" data-id="${group.id}">
+        <img class="manga-thumbnail" src="${group.thumbnail || 'icons/icon48.png'}" alt="${escapeAttr(group.title)}">
+        <div class="manga-info">
+          ${createTitle(mangas[group.id] || group)}
+          <div class="manga-chapter">
+            <span class="new">${escapeHtml(summary)}</span>
+          </div>
+          <div class="manga-time">${time}</div>
+        </div>
+        <div class="manga-actions">
+          ${unreadCount > 0 ? `
+          <button class="snooze-btn" data-id="${group.id}" title="Snooze">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="10"/>
+              <path d="M12 6v6l4 2"/>
+            </svg>
+          </button>` : ''}
+          <button class="mark-read-btn ${unreadCount > 0 ? 'active' : ''}" data-id="${group.id}" title="${unreadCount > 0 ? 'Mark all as read' : 'Already read'}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M20 6L9 17l-5-5"/>
+            </svg>
+          </button>
         </div>
-        <div class="manga-time">${timeAgo}</div>
-      </div>
-      <div class="manga-actions">
-        <button class="mark-read-btn ${update.isRead ? '' : 'active'}" data-id="${update.id}" title="${update.isRead ? 'Already read' : 'Mark as read'}">
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M20 6L9 17l-5-5"/>
-          </svg>
-        </button>
       </div>
+      ${unreadCount > 0 ? `
+      <div class="snooze-menu hidden">
+        <span>Remind me</span>
+        <button data-id="${group.id}" data-option="1h">In 1 hour</button>
+        <button data-id="${group.id}" data-option="tonight">Tonight</button>
+        <button data-id="${group.id}" data-option="tomorrow">Tomorrow</button>
+      </div>` : ''}
+      ${group.entries.length > 1 ? `
+      <div class="update-chapters">
+        ${group.entries.map(update => createUpdateChapter(update)).join('')}
+      </div>` : ''}
+    </div>
+  `;
+}
+
+function createUpdateChapter(update) {
+  const snoozed = !update.isRead && isSnoozed(update);
+  const state = update.isRead ? '' : snoozed ? 'snoozed' : 'unread';
+
+  return `
+    <div class="update-chapter ${state}" data-id="${update.id}" data-chapter-num="${update.chapterNum ?? ''}" data-url="${escapeAttr(update.chapterUrl || '')}">
+      <span class="chapter-label">${escapeHtml(update.newChapter)}</span>
+      <span class="manga-time">${snoozed ? `Until ${formatSnoozeEnd(update.snoozedUntil)}` : formatTimeAgo(update.detectedAt)}</span>
+      <button class="mark-read-btn ${update.isRead ? '' : 'active'}" data-id="${update.id}" data-chapter-num="${update.chapterNum ?? ''}" title="${update.isRead ? 'Already read' : 'Mark as read'}">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M20 6L9 17l-5-5"/>
+        </svg>
+      </button>
     </div>
   `;
 }
@@ -214,6 +409,12 @@ function renderLibrary() {
   } else if (filter === 'read') {
     mangaList = mangaList.filter(m => m.isRead);
   }
+  if (elements.tagFilter.value) {
+    mangaList = mangaList.filter(m => hasTag(m, elements.tagFilter.value));
+  }
+  if (searchQuery) {
+    mangaList = mangaList.filter(m => matchesSearch(m));
+  }
 
   // Sort
   mangaList.sort((a, b) => {
@@ -227,6 +428,12 @@ function renderLibrary() {
     return 0;
   });
 
+  shownMangaIds = mangaList.map(m => `${m.site}:${m.slug}`);
+
+  // Batch actions only reach manga that are still shown
+  selectedIds = new Set(shownMangaIds.filter(id => selectedIds.has(id)));
+  updateSelectionUI();
+
   // Render
   console.log('Rendering mangaList.length:', mangaList.length);
   if (mangaList.length === 0) {
@@ -243,7 +450,10 @@ function renderLibrary() {
     // Add event listeners
     elements.libraryList.querySelectorAll('.manga-item').forEach(item => {
       item.addEventListener('click', (e) => {
-        if (!e.target.closest('button')) {
+        if (e.target.closest('button, select, .tag-chip')) return;
+        if (selectMode) {
+          handleSelect(item.dataset.id, e.shiftKey);
+        } else {
           handleOpenManga(item.dataset.id);
         }
       });
@@ -253,24 +463,72 @@ function renderLibrary() {
       btn.addEventListener('click', () => handleToggleNotify(btn.dataset.id, btn.classList.contains('active')));
     });
 
+    elements.libraryList.querySelectorAll('.tier-select').forEach(select => {
+      select.addEventListener('change', () => handleSetCheckTier(select.dataset.id, select.value));
+    });
+
+    elements.libraryList.querySelectorAll('.tag-chip').forEach(chip => {
+      chip.addEventListener('click', (e) => {
+        if (e.target.closest('.tag-remove')) {
+          handleTagMangas([chip.dataset.id], [], [chip.dataset.tag]);
+        } else {
+          elements.tagFilter.value = chip.dataset.tag;
+          handleFilterChange();
+        }
+      });
+    });
+
+    elements.libraryList.querySelectorAll('.tag-add').forEach(btn => {
+      btn.addEventListener('click', () => handleAddTag(btn.dataset.id));
+    });
+
+    elements.libraryList.querySelectorAll('.threshold-select').forEach(select => {
+      select.addEventListener('change', () => handleSetNotifyThreshold(select.dataset.id, parseInt(select.value)));
+    });
+
+    elements.libraryList.querySelectorAll('.progress-btn').forEach(btn => {
+      btn.addEventListener('click', () => handleSetProgress(btn.dataset.id));
+    });
+
     elements.libraryList.querySelectorAll('.delete-btn').forEach(btn => {
       btn.addEventListener('click', () => handleDeleteManga(btn.dataset.id));
     });
+
+    elements.libraryList.querySelectorAll('.retry-btn').forEach(btn => {
+      btn.addEventListener('click', () => handleRetryManga(btn));
+    });
   }
 }
 
 function createLibraryItem(manga) {
   const id = `${manga.site}:${manga.slug}`;
+  const siteName = getParserById(manga.site)?.siteName || manga.site;
+  const failing = manga.failureCount > 0 || manga.paused;
 
   return `
-    <div class="manga-item ${manga.isRead ? '' : 'unread'}" data-id="${id}">
+    <div class="manga-item ${manga.isRead ? '' : 'unread'} ${failing ? 'failing' : ''} ${selectedIds.has(id) ? 'selected' : ''}" data-id="${id}">
+      ${selectMode ? `<input type="checkbox" class="select-box" ${selectedIds.has(id) ? 'checked' : ''} title="Select (shift-click for a range)">` : ''}
       <img class="manga-thumbnail" src="${manga.thumbnail || 'icons/icon48.png'}" alt="${manga.title}">
       <div class="manga-info">
-        <div class="manga-title">${escapeHtml(manga.title)}</div>
-        <div class="manga-chapter">${escapeHtml(manga.latestChapter || 'No chapters')}</div>
-        <div class="manga-time">${manga.lastUpdated || 'Unknown'}</div>
+        ${createTitle(manga)}
+        <div class="manga-chapter">${escapeHtml(manga.latestChapter || 'No chapters')}${createUnreadCount(manga)}</div>
+        <div class="manga-time">${escapeHtml(siteName)} · ${manga.lastUpdated || 'Unknown'}${manga.cadence ? ` · next expected: ${formatExpectedRelease(manga.cadence)}` : ''}</div>
+        ${failing ? createHealthWarning(manga) : ''}
+        <div class="manga-settings">
+          ${createTierSelect(id, manga.checkTier || DEFAULT_CHECK_TIER)}
+          ${createThresholdSelect(id, manga)}
+          <button class="progress-btn" data-id="${id}" title="Set reading progress">Read to ch. ${formatChapterNum(getLastReadChapterNum(manga))}</button>
+        </div>
+        ${createTagChips(id, manga.tags || [])}
       </div>
       <div class="manga-actions">
+        ${failing ? `
+        <button class="retry-btn" data-id="${id}" title="Retry now">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M23 4v6h-6"/>
+            <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+          </svg>
+        </button>` : ''}
         <button class="notify-btn ${manga.notifyEnabled ? 'active' : ''}" data-id="${id}" title="${manga.notifyEnabled ? 'Notifications on' : 'Notifications off'}">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="${manga.notifyEnabled ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
             <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/>
@@ -287,19 +545,332 @@ function createLibraryItem(manga) {
   `;
 }
 
+function getLastReadChapterNum(manga) {
+  return manga.lastReadChapterNum ?? manga.latestChapterNum ?? 0;
+}
+
+function getUnreadChapterCount(manga) {
+  return Math.max(0, Math.ceil((manga.latestChapterNum || 0) - getLastReadChapterNum(manga)));
+}
+
+function formatChapterNum(num) {
+  return String(Math.round(num * 100) / 100);
+}
+
+function createUnreadCount(manga) {
+  const count = getUnreadChapterCount(manga);
+  return count > 0 ? ` · <span class="unread-count">${count} unread</span>` : '';
+}
+
+function createHealthWarning(manga) {
+  const since = manga.lastSuccessAt ? `last worked ${formatTimeAgo(manga.lastSuccessAt)}` : 'never checked successfully';
+  const label = manga.paused
+    ? `Paused after ${manga.failureCount} failed checks`
+    : `Check failed${manga.failureCount > 1 ? ` ${manga.failureCount} times` : ''}`;
+  const tooltip = `${manga.lastError || 'Unknown error'} (${since})`;
+
+  return `
+    <div class="health-warning" title="${escapeAttr(tooltip)}">
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+        <path d="M12 9v4M12 17h.01"/>
+      </svg>
+      <span>${escapeHtml(label)}</span>
+    </div>
+  `;
+}
+
+function createTierSelect(id, selected) {
+  const options = Object.entries(CHECK_TIERS).map(([tier, { name, minutes }]) => {
+    const label = minutes === null ? name : `${name} · ${minutes >= 1440 ? 'daily' : `${minutes} min`}`;
+    return `<option value="${tier}" ${tier === selected ? 'selected' : ''}>${label}</option>`;
+  }).join('');
+
+  return `<select class="tier-select" data-id="${id}" title="How often this manga is checked">${options}</select>`;
+}
+
+// Unread chapters that have to pile up before a manga notifies
+const NOTIFY_THRESHOLDS = [1, 3, 5, 10];
+
+function createThresholdSelect(id, manga) {
+  const selected = manga.notifyThreshold || 1;
+  const thresholds = NOTIFY_THRESHOLDS.includes(selected) ? NOTIFY_THRESHOLDS : [...NOTIFY_THRESHOLDS, selected].sort((a, b) => a - b);
+  const options = thresholds.map(threshold =>
+    `<option value="${threshold}" ${threshold === selected ? 'selected' : ''}>${threshold === 1 ? 'Every chapter' : `${threshold}+ unread`}</option>`
+  ).join('');
+
+  return `<select class="threshold-select" data-id="${id}" title="When to notify" ${manga.notifyEnabled ? '' : 'disabled'}>${options}</select>`;
+}
+
+// ============= Tags =============
+
+function hasTag(manga, tag) {
+  return !!manga?.tags?.includes(tag);
+}
+
+/**
+ * Fill the tag filter with every tag in the library, keeping the selection
+ */
+function renderTagOptions() {
+  const tags = [...new Set(Object.values(mangas).flatMap(manga => manga.tags || []))].sort();
+  const selected = tags.includes(elements.tagFilter.value) ? elements.tagFilter.value : '';
+
+  elements.tagFilter.innerHTML = ['<option value="">All tags</option>']
+    .concat(tags.map(tag => `<option value="${escapeAttr(tag)}">${escapeHtml(tag)}</option>`))
+    .join('');
+  elements.tagFilter.value = selected;
+}
+
+function createTagChips(id, tags) {
+  const chips = tags.map(tag => `
+    <span class="tag-chip" data-id="${id}" data-tag="${escapeAttr(tag)}" title="Show only '${escapeAttr(tag)}'">
+      ${escapeHtml(tag)}<button class="tag-remove" title="Remove tag">×</button>
+    </span>
+  `).join('');
+
+  return `<div class="manga-tags">${chips}<button class="tag-add" data-id="${id}" title="Add tag">+ tag</button></div>`;
+}
+
+/**
+ * Ask for tags; several can be given separated by commas
+ * @returns {string[]|null} null when cancelled
+ */
+function promptTags(message) {
+  const input = prompt(message);
+  if (input === null) return null;
+  return input.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+async function handleAddTag(id) {
+  const tags = promptTags('Add tags (separate with commas):');
+  if (tags?.length) {
+    await handleTagMangas([id], tags, []);
+  }
+}
+
+async function handleTagShown() {
+  if (shownMangaIds.length === 0) return;
+
+  const tags = promptTags(`Tag ${shownMangaIds.length} manga shown.\nPrefix a tag with "-" to remove it instead:`);
+  if (!tags?.length) return;
+
+  const add = tags.filter(tag => !tag.startsWith('-'));
+  const remove = tags.filter(tag => tag.startsWith('-')).map(tag => tag.slice(1));
+  await handleTagMangas(shownMangaIds, add, remove);
+}
+
+async function handleTagMangas(ids, add, remove) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'TAG_MANGAS', ids, add, remove });
+    await loadData();
+    renderCurrentTab();
+  } catch (error) {
+    console.error('Failed to update tags:', error);
+  }
+}
+
+// ============= Selection =============
+
+function setSelectMode(enabled) {
+  selectMode = enabled;
+  selectedIds.clear();
+  lastSelectedId = null;
+  elements.selectBtn.textContent = enabled ? 'Done' : 'Select';
+  elements.batchBar.classList.toggle('hidden', !enabled);
+  if (currentTab === 'library') {
+    renderLibrary();
+  }
+}
+
+function renderBatchTierOptions() {
+  const options = Object.entries(CHECK_TIERS).map(([tier, { name }]) =>
+    `<option value="setTier:${tier}">Check tier: ${name}</option>`
+  ).join('');
+  elements.batchAction.querySelector('option[value="export"]').insertAdjacentHTML('beforebegin', options);
+}
+
+/**
+ * Toggle one manga, or with shift the range from the last one clicked
+ * @param {string} id - Manga ID clicked
+ * @param {boolean} extendRange - Whether shift was held
+ */
+function handleSelect(id, extendRange) {
+  const selecting = !selectedIds.has(id);
+  let ids = [id];
+
+  const anchor = shownMangaIds.indexOf(lastSelectedId);
+  if (extendRange && anchor !== -1) {
+    const index = shownMangaIds.indexOf(id);
+    ids = shownMangaIds.slice(Math.min(anchor, index), Math.max(anchor, index) + 1);
+  }
+
+  for (const selectedId of ids) {
+    if (selecting) {
+      selectedIds.add(selectedId);
+    } else {
+      selectedIds.delete(selectedId);
+    }
+  }
+  lastSelectedId = id;
+  updateSelectionUI();
+}
+
+function handleSelectAll() {
+  const allSelected = shownMangaIds.length > 0 && shownMangaIds.every(id => selectedIds.has(id));
+  selectedIds = allSelected ? new Set() : new Set(shownMangaIds);
+  updateSelectionUI();
+}
+
+/**
+ * Sync checkboxes, the count and the batch buttons without re-rendering
+ */
+function updateSelectionUI() {
+  elements.libraryList.querySelectorAll('.manga-item').forEach(item => {
+    const selected = selectedIds.has(item.dataset.id);
+    item.classList.toggle('selected', selected);
+    const box = item.querySelector('.select-box');
+    if (box) box.checked = selected;
+  });
+
+  const allSelected = shownMangaIds.length > 0 && shownMangaIds.every(id => selectedIds.has(id));
+  elements.batchCount.textContent = `${selectedIds.size} selected`;
+  elements.selectAllBtn.textContent = allSelected ? 'Select none' : 'Select all';
+  elements.batchApplyBtn.disabled = selectedIds.size === 0 || !elements.batchAction.value;
+}
+
+async function handleBatchApply() {
+  const ids = [...selectedIds];
+  const [action, tier] = elements.batchAction.value.split(':');
+  if (ids.length === 0 || !action) return;
+
+  if (action === 'delete' && !confirm(`Remove ${ids.length} manga from your library?`)) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'BATCH_ACTION', ids, action, tier });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response');
+    }
+
+    if (action === 'export') {
+      downloadJson(response.data, `raw-notification-center-selection-${new Date().toISOString().split('T')[0]}.json`);
+    }
+    elements.batchAction.value = '';
+    await loadData();
+    renderCurrentTab();
+  } catch (error) {
+    console.error('Failed to apply batch action:', error);
+  }
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// ============= Search =============
+
+/**
+ * Texts a manga is found by: title, alternative titles and slug
+ * @param {Object} manga - Manga, or a history entry when the manga is gone
+ * @returns {string[]}
+ */
+function getSearchTexts(manga) {
+  return [manga.title, ...(manga.altTitles || []), manga.slug].filter(Boolean);
+}
+
+function matchesSearch(manga) {
+  return getSearchTexts(manga).some(text => text.toLowerCase().includes(searchQuery));
+}
+
+/**
+ * Escape text for HTML and wrap search matches in <mark>
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+function highlightSearch(text) {
+  if (!searchQuery) return escapeHtml(text);
+
+  const lower = text.toLowerCase();
+  let html = '';
+  let from = 0;
+  let index;
+  while ((index = lower.indexOf(searchQuery, from)) !== -1) {
+    html += escapeHtml(text.slice(from, index));
+    html += `<mark>${escapeHtml(text.slice(index, index + searchQuery.length))}</mark>`;
+    from = index + searchQuery.length;
+  }
+  return html + escapeHtml(text.slice(from));
+}
+
+/**
+ * Title with search matches highlighted; when only an alternative title or
+ * the slug matches, that is shown below
+ */
+function createTitle(manga) {
+  const title = `<div class="manga-title">${highlightSearch(manga.title)}</div>`;
+  if (!searchQuery || manga.title.toLowerCase().includes(searchQuery)) return title;
+
+  const match = getSearchTexts(manga).find(text => text.toLowerCase().includes(searchQuery));
+  return match ? `${title}<div class="manga-alt-title">${highlightSearch(match)}</div>` : title;
+}
+
+function handleSearchInput() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    searchQuery = elements.searchInput.value.trim().toLowerCase();
+    handleFilterChange();
+  }, SEARCH_DELAY_MS);
+}
+
 // ============= Event Handlers =============
 
+async function handleFilterChange() {
+  // The filter is applied while reading history, so start over from the top
+  updates = [];
+  try {
+    await reloadUpdates();
+  } catch (error) {
+    console.error('Failed to load history:', error);
+  }
+  renderCurrentTab();
+}
+
 async function handleOpenManga(id) {
   const manga = mangas[id];
-  if (manga?.url) {
+  if (!manga?.url) return;
+
+  // Pick up where the reader left off; caught-up manga open their page
+  const { chapter } = await chrome.runtime.sendMessage({ type: 'GET_NEXT_UNREAD', id });
+  if (chapter) {
+    await chrome.tabs.create({ url: chapter.url });
+    await handleMarkRead(id, chapter.num);
+  } else {
     await chrome.tabs.create({ url: manga.url });
     await handleMarkRead(id);
   }
 }
 
-async function handleMarkRead(id) {
+async function handleOpenChapter(id, chapterNum, url) {
+  const chapterUrl = url || mangas[id]?.url;
+  if (chapterUrl) {
+    await chrome.tabs.create({ url: chapterUrl });
+    await handleMarkRead(id, chapterNum);
+  }
+}
+
+async function handleMarkRead(id, chapterNum) {
   try {
-    await chrome.runtime.sendMessage({ type: 'MARK_READ', id });
+    await chrome.runtime.sendMessage({ type: 'MARK_READ', id, chapterNum });
     await loadData();
     renderCurrentTab();
   } catch (error) {
@@ -307,6 +878,32 @@ async function handleMarkRead(id) {
   }
 }
 
+/**
+ * Open the snooze menu of the update a clicked notification was about
+ */
+async function showSnoozeFocus() {
+  const { snoozeFocus } = await chrome.storage.session.get('snoozeFocus');
+  if (!snoozeFocus) return;
+  await chrome.storage.session.remove('snoozeFocus');
+
+  const btn = [...elements.updatesList.querySelectorAll('.snooze-btn')].find(b => b.dataset.id === snoozeFocus);
+  const menu = btn?.closest('.update-group').querySelector('.snooze-menu');
+  if (menu) {
+    menu.classList.remove('hidden');
+    menu.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+async function handleSnooze(id, option) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'SNOOZE', id, option });
+    await loadData();
+    renderCurrentTab();
+  } catch (error) {
+    console.error('Failed to snooze:', error);
+  }
+}
+
 async function handleMarkAllRead() {
   try {
     await chrome.runtime.sendMessage({ type: 'MARK_ALL_READ' });
@@ -331,6 +928,44 @@ async function handleToggleNotify(id, currentlyEnabled) {
   }
 }
 
+async function handleSetCheckTier(id, tier) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'SET_CHECK_TIER', id, tier });
+    mangas[id] = { ...mangas[id], checkTier: tier };
+  } catch (error) {
+    console.error('Failed to set check tier:', error);
+  }
+}
+
+async function handleSetNotifyThreshold(id, threshold) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'SET_NOTIFY_THRESHOLD', id, threshold });
+    mangas[id] = { ...mangas[id], notifyThreshold: threshold };
+  } catch (error) {
+    console.error('Failed to set notification threshold:', error);
+  }
+}
+
+async function handleSetProgress(id) {
+  const manga = mangas[id];
+  const input = prompt(`Last chapter read of ${manga.title}:`, formatChapterNum(getLastReadChapterNum(manga)));
+  if (input === null) return;
+
+  const chapterNum = parseFloat(input);
+  if (!Number.isFinite(chapterNum) || chapterNum < 0) {
+    alert(`Not a chapter number: ${input}`);
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'SET_PROGRESS', id, chapterNum });
+    await loadData();
+    renderCurrentTab();
+  } catch (error) {
+    console.error('Failed to set reading progress:', error);
+  }
+}
+
 async function handleDeleteManga(id) {
   if (!confirm('Remove this manga from your library?')) {
     return;
@@ -345,6 +980,21 @@ async function handleDeleteManga(id) {
   }
 }
 
+async function handleRetryManga(btn) {
+  btn.classList.add('spinning');
+  btn.disabled = true;
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'RETRY_MANGA', id: btn.dataset.id });
+    await loadData();
+    renderCurrentTab();
+  } catch (error) {
+    console.error('Failed to retry manga:', error);
+    btn.classList.remove('spinning');
+    btn.disabled = false;
+  }
+}
+
 async function handleCheckNow() {
   elements.checkNowBtn.classList.add('spinning');
   elements.checkNowBtn.disabled = true;
@@ -375,8 +1025,24 @@ function formatTimeAgo(timestamp) {
   return new Date(timestamp).toLocaleDateString();
 }
 
+function formatSnoozeEnd(timestamp) {
+  const end = new Date(timestamp);
+  const time = end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return end.toDateString() === new Date().toDateString()
+    ? time
+    : `${end.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
   return div.innerHTML;
 }
+
+function parseChapterNum(value) {
+  return value === undefined || value === '' ? undefined : parseFloat(value);
+}
+
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,76 @@
+/**
+ * Migration chain tests
+ * Run with: node --test tests/
+ *
+ * The extension's scripts share globals the way importScripts does in the
+ * service worker, so the modules a migration uses are installed on
+ * globalThis before it runs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(globalThis,
+  require('../parsers/base.js'),
+  require('../utils/cadence.js'),
+  require('../utils/schedule.js')
+);
+const { SCHEMA_VERSION, migrateData } = require('../utils/migrations.js');
+
+test('v7 reads progress from the start of a multi-chapter legacy entry', () => {
+  const migrated = migrateData({
+    mangas: {
+      'rawkuma-example': {
+        id: 'rawkuma-example',
+        title: 'Example',
+        latestChapter: 'Chapter 43',
+        latestChapterNum: 43,
+        isRead: false
+      }
+    },
+    updates: [{
+      id: 'rawkuma-example',
+      title: 'Example',
+      oldChapter: 'Chapter 40',
+      newChapter: 'Chapter 43',
+      detectedAt: 1700000000000,
+      isRead: false
+    }]
+  });
+
+  assert.strictEqual(migrated.version, SCHEMA_VERSION);
+  assert.strictEqual(migrated.mangas['rawkuma-example'].lastReadChapterNum, 40);
+});
+
+test('v7 reads progress from the oldest unread per-chapter entry', () => {
+  const migrated = migrateData({
+    version: 6,
+    mangas: {
+      'rawkuma-example': { id: 'rawkuma-example', latestChapterNum: 43, isRead: false }
+    },
+    updates: [
+      { id: 'rawkuma-example', chapterNum: 43, isRead: false },
+      { id: 'rawkuma-example', chapterNum: 42, isRead: false },
+      { id: 'rawkuma-example', chapterNum: 41, isRead: true }
+    ]
+  });
+
+  assert.strictEqual(migrated.mangas['rawkuma-example'].lastReadChapterNum, 41);
+});
+
+test('v7 starts read manga caught up over a stale progress value', () => {
+  const migrated = migrateData({
+    version: 6,
+    mangas: {
+      'rawkuma-example': {
+        id: 'rawkuma-example',
+        latestChapterNum: 43,
+        isRead: true,
+        lastReadChapterNum: 12
+      }
+    },
+    updates: []
+  });
+
+  assert.strictEqual(migrated.mangas['rawkuma-example'].lastReadChapterNum, 43);
+});
@@ -0,0 +1,134 @@
+/**
+ * Release cadence estimation
+ * Learns when a series usually releases from the detectedAt times in its
+ * update history, and predicts when the next chapter is due
+ */
+
+const CADENCE_MIN_RELEASES = 3;
+// Detections closer together than this belong to one release
+const CADENCE_RELEASE_GAP_MS = 6 * 60 * 60 * 1000;
+// Share of releases that must fall on one weekday to call it the release day
+const CADENCE_WEEKDAY_SHARE = 0.6;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Collapse detection times into release times
+ * @param {number[]} timestamps - detectedAt of history entries
+ * @returns {number[]} First detection of each release, oldest first
+ */
+function getReleaseTimes(timestamps) {
+  const releases = [];
+  for (const time of [...timestamps].sort((a, b) => a - b)) {
+    if (releases.length === 0 || time - releases[releases.length - 1] > CADENCE_RELEASE_GAP_MS) {
+      releases.push(time);
+    }
+  }
+  return releases;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+}
+
+/**
+ * Estimate a series' release cadence
+ * @param {number[]} timestamps - detectedAt of the series' history entries
+ * @returns {Object|null} `{intervalMs, weekday, hour, lastReleaseAt, releases}`,
+ *   weekday is null without a clear release day; null with too little history
+ */
+function estimateCadence(timestamps) {
+  const releases = getReleaseTimes(timestamps);
+  if (releases.length < CADENCE_MIN_RELEASES) return null;
+
+  const intervals = releases.slice(1).map((time, i) => time - releases[i]);
+  const dates = releases.map(time => new Date(time));
+  const [weekday, weekdayCount] = mostCommon(dates.map(date => date.getDay()));
+  const [hour] = mostCommon(dates.map(date => date.getHours()));
+
+  return {
+    intervalMs: median(intervals),
+    weekday: weekdayCount / releases.length >= CADENCE_WEEKDAY_SHARE ? weekday : null,
+    hour,
+    lastReleaseAt: releases[releases.length - 1],
+    releases: releases.length
+  };
+}
+
+/**
+ * How far from the expected time a release still counts as on schedule
+ * @param {Object} cadence - From estimateCadence
+ * @returns {number} Milliseconds either side
+ */
+function getReleaseWindowMs(cadence) {
+  return Math.min(Math.max(cadence.intervalMs * 0.15, 3 * HOUR_MS), DAY_MS);
+}
+
+/**
+ * Predict the next release
+ * A release that is late by more than the window is taken as skipped.
+ * @param {Object} cadence - From estimateCadence
+ * @param {number} [now] - Current time
+ * @returns {number} Timestamp of the expected release
+ */
+function getNextExpectedRelease(cadence, now = Date.now()) {
+  const windowMs = getReleaseWindowMs(cadence);
+  let expected = cadence.lastReleaseAt + cadence.intervalMs;
+
+  while (true) {
+    let candidate = expected;
+
+    // Weekly-or-slower series: snap to the usual day and hour
+    if (cadence.weekday !== null && cadence.intervalMs >= 6 * DAY_MS) {
+      const date = new Date(expected);
+      let shift = (cadence.weekday - date.getDay() + 7) % 7;
+      if (shift > 3) shift -= 7;
+      date.setDate(date.getDate() + shift);
+      date.setHours(cadence.hour, 0, 0, 0);
+      candidate = date.getTime();
+    }
+
+    if (candidate + windowMs >= now) return candidate;
+    expected += cadence.intervalMs;
+  }
+}
+
+/**
+ * Short label for the next expected release, e.g. "~Thu"
+ * @param {Object} cadence - From estimateCadence
+ * @param {number} [now] - Current time
+ * @returns {string}
+ */
+function formatExpectedRelease(cadence, now = Date.now()) {
+  const expected = new Date(getNextExpectedRelease(cadence, now));
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const days = Math.floor((expected - today) / DAY_MS);
+
+  if (days <= 0) return '~today';
+  if (days === 1) return '~tomorrow';
+  if (days < 7) return `~${expected.toLocaleDateString(undefined, { weekday: 'short' })}`;
+  return `~${expected.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    estimateCadence,
+    getReleaseTimes,
+    getReleaseWindowMs,
+    getNextExpectedRelease,
+    formatExpectedRelease
+  };
+}
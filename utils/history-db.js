@@ -0,0 +1,390 @@
+/**
+ * Update history stored in IndexedDB
+ * One record per detected chapter, indexed by manga id and detectedAt,
+ * so the popup can page through it and retention can prune by age or count
+ */
+
+const HISTORY_DB_NAME = 'raw-notification-center';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'history';
+
+let historyDbPromise = null;
+
+/**
+ * Open (and create on first use) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'key' });
+          store.createIndex('mangaId', 'id');
+          store.createIndex('detectedAt', 'detectedAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+/**
+ * Key of a history record: one per manga chapter
+ * @param {Object} entry - Update entry
+ * @returns {string}
+ */
+function getHistoryKey(entry) {
+  return `${entry.id}#${entry.chapterNum ?? entry.detectedAt}`;
+}
+
+/**
+ * Whether an entry is snoozed, which keeps it out of the unread count
+ * @param {Object} entry - Update entry
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+function isSnoozed(entry, now = Date.now()) {
+  return entry.snoozedUntil > now;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Walk records with a cursor
+ * @param {IDBObjectStore|IDBIndex} source - Store or index to iterate
+ * @param {IDBKeyRange|null} range - Key range
+ * @param {string} direction - 'next' or 'prev'
+ * @param {Function} visit - Called with each cursor; return false to stop
+ * @returns {Promise<void>}
+ */
+function iterateCursor(source, range, direction, visit) {
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor(range, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visit(cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Add update entries; an entry for a chapter already in the history replaces it
+ * @param {Array} entries - Update entries
+ * @returns {Promise<void>}
+ */
+async function addHistoryEntries(entries) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+
+  for (const entry of entries) {
+    store.put({ ...entry, key: getHistoryKey(entry) });
+  }
+
+  await transactionDone(tx);
+}
+
+/**
+ * Read one page of history, newest first
+ * @param {Object} [options]
+ * @param {Object|null} [options.cursor] - `nextCursor` of the previous page
+ * @param {number} [options.limit] - Entries per page
+ * @param {Function} [options.filter] - Only entries this returns true for
+ * @returns {Promise<{entries: Array, nextCursor: Object|null}>} nextCursor is null on the last page
+ */
+async function getHistoryPage({ cursor = null, limit = 30, filter = null } = {}) {
+  const db = await openHistoryDb();
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('detectedAt');
+  const range = cursor ? IDBKeyRange.upperBound(cursor.detectedAt) : null;
+
+  // Entries of one check share a detectedAt, so the cursor also remembers
+  // which keys at that timestamp were already returned
+  const entries = [];
+  let last = cursor;
+  let hasMore = false;
+
+  await iterateCursor(index, range, 'prev', (idbCursor) => {
+    const entry = idbCursor.value;
+    if (cursor && entry.detectedAt === cursor.detectedAt && cursor.seenKeys.includes(entry.key)) {
+      return true;
+    }
+    if (entries.length >= limit) {
+      hasMore = true;
+      return false;
+    }
+
+    last = last && last.detectedAt === entry.detectedAt
+      ? { detectedAt: entry.detectedAt, seenKeys: [...last.seenKeys, entry.key] }
+      : { detectedAt: entry.detectedAt, seenKeys: [entry.key] };
+
+    if (!filter || filter(entry)) {
+      entries.push(entry);
+    }
+    return true;
+  });
+
+  return { entries, nextCursor: hasMore ? last : null };
+}
+
+/**
+ * Get the whole history, newest first
+ * @returns {Promise<Array>}
+ */
+async function getAllHistory() {
+  const db = await openHistoryDb();
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('detectedAt');
+  const entries = await requestToPromise(index.getAll());
+  return entries.reverse();
+}
+
+/**
+ * Get every entry of one manga
+ * @param {string} mangaId - Manga ID
+ * @returns {Promise<Array>}
+ */
+async function getMangaHistory(mangaId) {
+  const db = await openHistoryDb();
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('mangaId');
+  return requestToPromise(index.getAll(IDBKeyRange.only(mangaId)));
+}
+
+/**
+ * Get all unread entries
+ * @returns {Promise<Array>}
+ */
+async function getUnreadHistory() {
+  const db = await openHistoryDb();
+  const store = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE);
+  const unread = [];
+  await iterateCursor(store, null, 'next', (cursor) => {
+    if (!cursor.value.isRead) {
+      unread.push(cursor.value);
+    }
+  });
+  return unread;
+}
+
+/**
+ * Apply a change to every entry of a manga (or every entry at all)
+ * @param {string|null} mangaId - Manga ID, or null for all entries
+ * @param {Function} change - Returns the updated entry, or null to delete it
+ * @returns {Promise<Array>} The manga's entries after the change
+ */
+async function updateHistoryEntries(mangaId, change) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  const source = mangaId ? store.index('mangaId') : store;
+  const range = mangaId ? IDBKeyRange.only(mangaId) : null;
+  const remaining = [];
+
+  await iterateCursor(source, range, 'next', (cursor) => {
+    const updated = change(cursor.value);
+    if (updated === null) {
+      cursor.delete();
+    } else {
+      if (updated !== cursor.value) {
+        cursor.update(updated);
+      }
+      remaining.push(updated);
+    }
+  });
+
+  await transactionDone(tx);
+  return remaining;
+}
+
+/**
+ * Mark history entries read: some chapters, or every entry of the manga
+ * @param {string} mangaId - Manga ID
+ * @param {number|number[]} [chapterNums] - Only this chapter, or these chapters
+ * @returns {Promise<boolean>} Whether the manga still has unread entries
+ */
+async function markHistoryRead(mangaId, chapterNums) {
+  const only = chapterNums === undefined ? null : [].concat(chapterNums);
+  const remaining = await updateHistoryEntries(mangaId, (entry) =>
+    !entry.isRead && (!only || only.includes(entry.chapterNum))
+      ? { ...entry, isRead: true }
+      : entry
+  );
+  return remaining.some(entry => !entry.isRead);
+}
+
+/**
+ * Set a manga's entries read up to a chapter and unread after it
+ * @param {string} mangaId - Manga ID
+ * @param {number} chapterNum - Last read chapter
+ * @returns {Promise<void>}
+ */
+async function setHistoryProgress(mangaId, chapterNum) {
+  await updateHistoryEntries(mangaId, (entry) => {
+    if (entry.chapterNum == null) return entry;
+    const isRead = entry.chapterNum <= chapterNum;
+    return entry.isRead === isRead ? entry : { ...entry, isRead };
+  });
+}
+
+/**
+ * Snooze unread entries: some chapters, or every unread entry of the manga
+ * @param {string} mangaId - Manga ID
+ * @param {number|number[]} [chapterNums] - Only this chapter, or these chapters
+ * @param {number} until - Timestamp the snooze ends at
+ * @returns {Promise<void>}
+ */
+async function snoozeHistory(mangaId, chapterNums, until) {
+  const only = chapterNums === undefined ? null : [].concat(chapterNums);
+  await updateHistoryEntries(mangaId, (entry) =>
+    !entry.isRead && (!only || only.includes(entry.chapterNum))
+      ? { ...entry, snoozedUntil: until }
+      : entry
+  );
+}
+
+/**
+ * Get the unread entries that are snoozed
+ * @returns {Promise<Array>}
+ */
+async function getSnoozedHistory() {
+  const unread = await getUnreadHistory();
+  return unread.filter(entry => entry.snoozedUntil);
+}
+
+/**
+ * End the snoozes that are over
+ * @param {number} [now] - Current time
+ * @returns {Promise<Array>} The unread entries that woke up
+ */
+async function wakeSnoozedHistory(now = Date.now()) {
+  const woken = [];
+  await updateHistoryEntries(null, (entry) => {
+    if (!entry.snoozedUntil || isSnoozed(entry, now)) return entry;
+    const { snoozedUntil, ...awake } = entry;
+    if (!awake.isRead) woken.push(awake);
+    return awake;
+  });
+  return woken;
+}
+
+/**
+ * Mark every history entry read
+ * @returns {Promise<void>}
+ */
+async function markAllHistoryRead() {
+  await updateHistoryEntries(null, (entry) => entry.isRead ? entry : { ...entry, isRead: true });
+}
+
+/**
+ * Delete all entries of a manga
+ * @param {string} mangaId - Manga ID
+ * @returns {Promise<void>}
+ */
+async function deleteHistoryForManga(mangaId) {
+  await updateHistoryEntries(mangaId, () => null);
+}
+
+/**
+ * Replace the whole history
+ * @param {Array} entries - Update entries
+ * @returns {Promise<void>}
+ */
+async function replaceHistory(entries) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  store.clear();
+  for (const entry of entries) {
+    store.put({ ...entry, key: getHistoryKey(entry) });
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Drop entries outside the retention policy
+ * @param {Object} policy
+ * @param {number} policy.maxAgeDays - Delete entries older than this, 0 = no age limit
+ * @param {number} policy.maxEntries - Keep at most this many newest entries, 0 = no limit
+ * @returns {Promise<number>} Number of deleted entries
+ */
+async function pruneHistory({ maxAgeDays, maxEntries }) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  const index = store.index('detectedAt');
+  let deleted = 0;
+
+  if (maxAgeDays > 0) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    await iterateCursor(index, IDBKeyRange.upperBound(cutoff, true), 'next', (cursor) => {
+      cursor.delete();
+      deleted++;
+    });
+  }
+
+  if (maxEntries > 0) {
+    let excess = (await requestToPromise(store.count())) - maxEntries;
+    if (excess > 0) {
+      // Oldest first
+      await iterateCursor(index, null, 'next', (cursor) => {
+        if (excess <= 0) return false;
+        cursor.delete();
+        excess--;
+        deleted++;
+      });
+    }
+  }
+
+  await transactionDone(tx);
+  return deleted;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HISTORY_DB_NAME,
+    getHistoryKey,
+    isSnoozed,
+    openHistoryDb,
+    addHistoryEntries,
+    getHistoryPage,
+    getAllHistory,
+    getMangaHistory,
+    getUnreadHistory,
+    markHistoryRead,
+    setHistoryProgress,
+    markAllHistoryRead,
+    snoozeHistory,
+    getSnoozedHistory,
+    wakeSnoozedHistory,
+    deleteHistoryForManga,
+    replaceHistory,
+    pruneHistory
+  };
+}
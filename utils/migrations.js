@@ -0,0 +1,160 @@
+/**
+ * Data schema versions and the migrations between them
+ *
+ * Migrations work on the backup shape ({ version, mangas, settings, updates }),
+ * so the same chain upgrades stored data on install/update and older
+ * backup files on import. To change the data model, bump SCHEMA_VERSION
+ * and append a migration that produces it.
+ */
+
+const SCHEMA_VERSION = 7;
+
+// Unread chapters before a manga notifies; 1 notifies on every chapter
+const DEFAULT_NOTIFY_THRESHOLD = 1;
+
+/**
+ * User settings a newly tracked manga starts with
+ * Parsers only scrape; saveManga fills these in for fields the manga lacks.
+ * @param {Object} manga - Manga info from a parser
+ * @returns {Object}
+ */
+function getMangaDefaults(manga) {
+  return {
+    checkTier: DEFAULT_CHECK_TIER,
+    notifyThreshold: DEFAULT_NOTIFY_THRESHOLD,
+    tags: [],
+    // Tracking starts caught up
+    lastReadChapterNum: manga.latestChapterNum
+  };
+}
+
+const MIGRATIONS = [
+  {
+    // Per-chapter history and health tracking
+    version: 2,
+    migrate(data) {
+      const mangas = {};
+      for (const [id, manga] of Object.entries(data.mangas || {})) {
+        mangas[id] = {
+          failureCount: 0,
+          paused: false,
+          lastError: null,
+          lastErrorAt: null,
+          lastSuccessAt: null,
+          ...manga
+        };
+      }
+
+      // Entries used to be one per manga, identified by the chapter title only
+      const updates = (data.updates || []).map(entry => entry.chapterNum !== undefined ? entry : {
+        ...entry,
+        chapterNum: BaseSiteParser.extractChapterNumber(entry.newChapter)
+      });
+
+      return { ...data, mangas, updates };
+    }
+  },
+  {
+    // Per-manga check frequency tiers
+    version: 3,
+    migrate(data) {
+      const mangas = {};
+      for (const [id, manga] of Object.entries(data.mangas || {})) {
+        mangas[id] = { checkTier: DEFAULT_CHECK_TIER, ...manga };
+      }
+      return { ...data, mangas };
+    }
+  },
+  {
+    // Release cadence learned from the history
+    version: 4,
+    migrate(data) {
+      const detectedAt = {};
+      for (const entry of data.updates || []) {
+        (detectedAt[entry.id] = detectedAt[entry.id] || []).push(entry.detectedAt);
+      }
+
+      const mangas = {};
+      for (const [id, manga] of Object.entries(data.mangas || {})) {
+        mangas[id] = { cadence: estimateCadence(detectedAt[id] || []), ...manga };
+      }
+      return { ...data, mangas };
+    }
+  },
+  {
+    // Per-manga unread threshold for notifications
+    version: 5,
+    migrate(data) {
+      const mangas = {};
+      for (const [id, manga] of Object.entries(data.mangas || {})) {
+        mangas[id] = { notifyThreshold: DEFAULT_NOTIFY_THRESHOLD, ...manga };
+      }
+      return { ...data, mangas };
+    }
+  },
+  {
+    // User-defined tags
+    version: 6,
+    migrate(data) {
+      const mangas = {};
+      for (const [id, manga] of Object.entries(data.mangas || {})) {
+        mangas[id] = { tags: [], ...manga };
+      }
+      return { ...data, mangas };
+    }
+  },
+  {
+    // Reading progress: the chapter before the oldest unread one
+    version: 7,
+    migrate(data) {
+      const lastRead = {};
+      for (const entry of data.updates || []) {
+        if (entry.isRead || entry.chapterNum == null) continue;
+        // Entries from before per-chapter history cover a whole jump and
+        // record the chapter it started from
+        const before = entry.oldChapter != null
+          ? BaseSiteParser.extractChapterNumber(entry.oldChapter)
+          : Math.max(0, entry.chapterNum - 1);
+        lastRead[entry.id] = Math.min(lastRead[entry.id] ?? Infinity, before);
+      }
+
+      const mangas = {};
+      for (const [id, manga] of Object.entries(data.mangas || {})) {
+        const lastReadChapterNum = manga.isRead || lastRead[id] === undefined
+          ? getMangaDefaults(manga).lastReadChapterNum
+          : lastRead[id];
+        mangas[id] = { ...manga, lastReadChapterNum };
+      }
+      return { ...data, mangas };
+    }
+  }
+];
+
+/**
+ * Bring data up to the current schema
+ * @param {Object} data - Stored data or a parsed backup file
+ * @returns {Object} Data at SCHEMA_VERSION
+ */
+function migrateData(data) {
+  const fromVersion = data.version || 1;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Unknown data version: ${data.version}`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Data is from a newer version of the extension (schema ${fromVersion})`);
+  }
+
+  let migrated = { ...data, version: fromVersion };
+  for (const migration of MIGRATIONS) {
+    if (migration.version > migrated.version) {
+      migrated = { ...migration.migrate(migrated), version: migration.version };
+      console.log(`Migrated data to schema version ${migration.version}`);
+    }
+  }
+  return migrated;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SCHEMA_VERSION, DEFAULT_NOTIFY_THRESHOLD, MIGRATIONS, getMangaDefaults, migrateData };
+}
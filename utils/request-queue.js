@@ -0,0 +1,213 @@
+/**
+ * Rate-limited request queue for update checks
+ * Limits concurrent requests per host, spaces them out, applies a timeout
+ * and retries 429/5xx responses and network errors with backoff
+ *
+ * Errors it throws carry a kind of 'network' or 'timeout', so callers can
+ * tell a site that is down from a page that failed to parse.
+ */
+
+const DEFAULT_QUEUE_OPTIONS = {
+  concurrency: 2, // parallel requests per host
+  delayMs: 1000, // minimum gap between request starts on one host
+  maxRetries: 3,
+  timeoutMs: 20000,
+  backoffBaseMs: 2000,
+  maxBackoffMs: 5 * 60 * 1000
+};
+
+class RequestQueue {
+  /**
+   * @param {Object} [options] - Overrides for DEFAULT_QUEUE_OPTIONS
+   */
+  constructor(options = {}) {
+    this.hosts = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Update queue limits; applies to requests that have not started yet
+   * @param {Object} options - Overrides for DEFAULT_QUEUE_OPTIONS
+   */
+  configure(options) {
+    this.options = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+    // Let waiting requests pick up a raised concurrency limit
+    for (const host of this.hosts.keys()) {
+      this.drain(host);
+    }
+  }
+
+  /**
+   * Fetch a URL through the queue
+   * Resolves with the last response, which may still be an error status
+   * once retries are exhausted; rejects if every attempt failed on the network
+   * @param {string} url - The URL to fetch
+   * @param {Object} [init] - fetch() options
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    const host = new URL(url).host;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      await this.acquire(host);
+
+      let response = null;
+      try {
+        response = await this.fetchWithTimeout(url, init);
+      } catch (error) {
+        lastError = error;
+      } finally {
+        this.release(host);
+      }
+
+      if (response && !this.isRetryable(response.status)) {
+        return response;
+      }
+
+      const isLastAttempt = attempt === this.options.maxRetries;
+      const waitMs = this.getBackoff(response, attempt);
+      if (isLastAttempt || waitMs > this.options.maxBackoffMs) {
+        if (response) return response;
+        break;
+      }
+
+      // Back off the whole host, not just this request
+      this.pauseHost(host, waitMs);
+      console.log(`Retrying ${url} in ${Math.round(waitMs / 1000)}s (${response ? response.status : lastError.message})`);
+    }
+
+    if (lastError) throw lastError;
+    const error = new Error(`Failed to fetch: ${url}`);
+    error.kind = 'network';
+    throw error;
+  }
+
+  /**
+   * Run fetch() with an abort timeout
+   * @param {string} url - The URL to fetch
+   * @param {Object} init - fetch() options
+   * @returns {Promise<Response>}
+   */
+  async fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeout = new Error(`Request timed out after ${this.options.timeoutMs / 1000}s`);
+        timeout.kind = 'timeout';
+        throw timeout;
+      }
+      error.kind = 'network';
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @param {number} status - HTTP status
+   * @returns {boolean}
+   */
+  isRetryable(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Time to wait before the next attempt: Retry-After when the server
+   * sends one, exponential backoff with jitter otherwise
+   * @param {Response|null} response - Last response, null on network error
+   * @param {number} attempt - 0-based attempt that just failed
+   * @returns {number} Milliseconds
+   */
+  getBackoff(response, attempt) {
+    const retryAfter = response?.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+      }
+      const date = Date.parse(retryAfter);
+      if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    const backoff = this.options.backoffBaseMs * 2 ** attempt;
+    return backoff + Math.random() * this.options.backoffBaseMs;
+  }
+
+  /**
+   * Get (or create) the state of a host
+   * @param {string} host - URL host
+   * @returns {{active: number, waiting: Array, nextStartAt: number, timer: number|null}}
+   */
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, waiting: [], nextStartAt: 0, timer: null });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait for a free slot on the host
+   * @param {string} host - URL host
+   * @returns {Promise<void>}
+   */
+  acquire(host) {
+    return new Promise(resolve => {
+      this.getHost(host).waiting.push(resolve);
+      this.drain(host);
+    });
+  }
+
+  /**
+   * Free a slot on the host
+   * @param {string} host - URL host
+   */
+  release(host) {
+    this.getHost(host).active--;
+    this.drain(host);
+  }
+
+  /**
+   * Hold all requests to a host for a while
+   * @param {string} host - URL host
+   * @param {number} waitMs - Milliseconds
+   */
+  pauseHost(host, waitMs) {
+    const state = this.getHost(host);
+    state.nextStartAt = Math.max(state.nextStartAt, Date.now() + waitMs);
+  }
+
+  /**
+   * Start waiting requests while slots are free and the delay has passed
+   * @param {string} host - URL host
+   */
+  drain(host) {
+    const state = this.getHost(host);
+    if (state.timer) return;
+
+    while (state.waiting.length > 0 && state.active < this.options.concurrency) {
+      const waitMs = state.nextStartAt - Date.now();
+      if (waitMs > 0) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          this.drain(host);
+        }, waitMs);
+        return;
+      }
+
+      state.active++;
+      state.nextStartAt = Date.now() + this.options.delayMs;
+      state.waiting.shift()();
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RequestQueue, DEFAULT_QUEUE_OPTIONS };
+}
@@ -0,0 +1,68 @@
+/**
+ * Check scheduling
+ * The check alarm wakes the worker every CHECK_TICK_MINUTES; each wake
+ * checks only the manga whose tier interval has passed. With adaptive
+ * checking the interval also follows the series' release cadence.
+ */
+
+const CHECK_TICK_MINUTES = 15;
+
+const CHECK_TIERS = {
+  hot: { name: 'Hot', minutes: 15 },
+  normal: { name: 'Normal', minutes: null }, // settings.checkInterval
+  slow: { name: 'Slow', minutes: 24 * 60 }
+};
+
+const DEFAULT_CHECK_TIER = 'normal';
+
+/**
+ * Minutes between checks of a manga
+ * @param {Object} manga - Manga data
+ * @param {Object} settings - Current settings
+ * @param {number} [now] - Current time
+ * @returns {number}
+ */
+function getCheckIntervalMinutes(manga, settings, now = Date.now()) {
+  const tier = CHECK_TIERS[manga.checkTier] || CHECK_TIERS[DEFAULT_CHECK_TIER];
+  const minutes = tier.minutes ?? settings.checkInterval;
+  if (!settings.adaptiveChecks || !manga.cadence) return minutes;
+
+  // Four times as often around the expected release, a quarter as often
+  // well before it
+  const windowMs = getReleaseWindowMs(manga.cadence);
+  const untilRelease = getNextExpectedRelease(manga.cadence, now) - now;
+  if (Math.abs(untilRelease) <= windowMs) {
+    return Math.max(CHECK_TICK_MINUTES, minutes / 4);
+  }
+  if (untilRelease > 2 * windowMs) {
+    return Math.max(minutes, Math.min(minutes * 4, 6 * 60));
+  }
+  return minutes;
+}
+
+/**
+ * Whether a manga should be checked on this wake
+ * @param {Object} manga - Manga data
+ * @param {Object} settings - Current settings
+ * @param {number} [now] - Timestamp of the wake
+ * @returns {boolean}
+ */
+function isCheckDue(manga, settings, now = Date.now()) {
+  if (!manga.lastChecked) return true;
+
+  // Half a tick of slack: a check finishes a little after the wake that
+  // started it, and must not slip to the wake after the next one
+  const dueAt = manga.lastChecked + (getCheckIntervalMinutes(manga, settings, now) - CHECK_TICK_MINUTES / 2) * 60 * 1000;
+  return now >= dueAt;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CHECK_TICK_MINUTES,
+    CHECK_TIERS,
+    DEFAULT_CHECK_TIER,
+    getCheckIntervalMinutes,
+    isCheckDue
+  };
+}
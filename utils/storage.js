@@ -1,19 +1,70 @@
 /**
  * Storage utility for manga update checker
  * Handles all chrome.storage.local operations
+ *
+ * Read-modify-write helpers run under one storage lock, so a check run,
+ * a popup action and a manga registration can't overwrite each other's
+ * changes. Update history lives in IndexedDB (utils/history-db.js); that
+ * file and utils/migrations.js must be loaded before this one.
  */
 
 const STORAGE_KEYS = {
   MANGAS: 'mangas',
   SETTINGS: 'settings',
-  UPDATES: 'updates'
+  UPDATES: 'updates', // legacy history array, moved to IndexedDB on install/update
+  CHECK_JOB: 'checkJob',
+  LAST_CHECK_RUN: 'lastCheckRun', // outcome of the last finished check run
+  SCHEMA_VERSION: 'schemaVersion',
+  QUIET_NOTIFICATIONS: 'quietNotifications', // held back during quiet hours
+  NOTIFICATION_PREFIX: 'notification:', // + notification id, in chrome.storage.session
+  SNOOZE_FOCUS: 'snoozeFocus', // manga whose snooze menu the popup opens on, in chrome.storage.session
+  WEBHOOK_QUEUE: 'webhookQueue', // deliveries waiting for a first try or a retry
+  CHAPTERS_PREFIX: 'chapters:' // + manga id, one key per manga
 };
 
 const DEFAULT_SETTINGS = {
   checkInterval: 60, // minutes
-  notificationsEnabled: true
+  adaptiveChecks: true, // check more often around a series' expected release
+  notificationsEnabled: true,
+  badgeMode: 'chapters', // 'series', 'chapters' or 'none'
+  digestEnabled: true, // one list notification when many series update in a run
+  digestThreshold: 3, // updated series in one run that trigger the digest
+  quietHoursEnabled: false,
+  quietHoursStart: '23:00', // HH:MM, local time
+  quietHoursEnd: '08:00', // may be earlier than the start: the window runs past midnight
+  quietHoursDays: [0, 1, 2, 3, 4, 5, 6], // days the window starts on, 0 = Sunday
+  webhooks: [], // { id, url, format, enabled }
+  enabledSites: ['rawkuma'],
+  maxConcurrency: 2, // parallel requests per site
+  requestDelay: 1000, // ms between requests to one site
+  maxRetries: 3,
+  requestTimeout: 20000, // ms
+  autoPauseAfter: 5, // consecutive failures, 0 = never pause
+  historyRetentionDays: 0, // 0 = keep regardless of age
+  historyMaxEntries: 1000 // 0 = no limit
 };
 
+const STORAGE_LOCK_NAME = 'raw-notification-center-storage';
+
+// Fallback for contexts without the Web Locks API
+let storageLockChain = Promise.resolve();
+
+/**
+ * Run a read-modify-write task while holding the storage lock
+ * The task must not call other locked helpers, or it waits on itself.
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} The task's result
+ */
+function withStorageLock(task) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(STORAGE_LOCK_NAME, task);
+  }
+
+  const run = storageLockChain.then(task);
+  storageLockChain = run.catch(() => {});
+  return run;
+}
+
 /**
  * Get all stored mangas
  * @returns {Promise<Object>} Mangas object keyed by id
@@ -33,16 +84,36 @@ async function getManga(id) {
   return mangas[id] || null;
 }
 
+/**
+ * Change the mangas object under the storage lock
+ * @param {Function} mutate - Edits the mangas object in place
+ * @returns {Promise<Object>} The saved mangas object
+ */
+async function updateMangas(mutate) {
+  return withStorageLock(async () => {
+    const mangas = await getMangas();
+    await mutate(mangas);
+    await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
+    return mangas;
+  });
+}
+
 /**
  * Save a manga
  * @param {Object} manga - Manga object to save
  * @returns {Promise<void>}
  */
 async function saveManga(manga) {
-  const mangas = await getMangas();
+  // The chapter list lives under its own key to keep the mangas object small
+  const { chapters, chaptersComplete, ...record } = manga;
   const id = `${manga.site}:${manga.slug}`;
-  mangas[id] = manga;
-  await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
+  await updateMangas((mangas) => {
+    mangas[id] = { ...getMangaDefaults(record), ...record };
+  });
+
+  if (chapters) {
+    await saveChapters(id, chapters);
+  }
 }
 
 /**
@@ -51,28 +122,46 @@ async function saveManga(manga) {
  * @returns {Promise<void>}
  */
 async function deleteManga(id) {
-  const mangas = await getMangas();
-  delete mangas[id];
-  await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
+  await deleteMangas([id]);
+}
+
+/**
+ * Delete several manga in one write
+ * @param {string[]} ids - Manga IDs
+ * @returns {Promise<void>}
+ */
+async function deleteMangas(ids) {
+  await updateMangas((mangas) => {
+    for (const id of ids) {
+      delete mangas[id];
+    }
+  });
+  await chrome.storage.local.remove(ids.map(id => `${STORAGE_KEYS.CHAPTERS_PREFIX}${id}`));
 
   // Also remove related updates
-  const updates = await getUpdates();
-  const filteredUpdates = updates.filter(u => u.id !== id);
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: filteredUpdates });
+  for (const id of ids) {
+    await deleteHistoryForManga(id);
+  }
 }
 
 /**
  * Update manga properties
+ * Pass a function to derive the changes from the stored manga, e.g. to
+ * increment a counter without losing a concurrent increment.
  * @param {string} id - Manga ID
- * @param {Object} updates - Properties to update
- * @returns {Promise<void>}
+ * @param {Object|Function} updates - Properties to update, or manga => properties
+ * @returns {Promise<Object|null>} The updated manga, null if it doesn't exist
  */
 async function updateManga(id, updates) {
-  const mangas = await getMangas();
-  if (mangas[id]) {
-    mangas[id] = { ...mangas[id], ...updates };
-    await chrome.storage.local.set({ [STORAGE_KEYS.MANGAS]: mangas });
-  }
+  let updated = null;
+  await updateMangas((mangas) => {
+    if (mangas[id]) {
+      const changes = typeof updates === 'function' ? updates(mangas[id]) : updates;
+      mangas[id] = { ...mangas[id], ...changes };
+      updated = mangas[id];
+    }
+  });
+  return updated;
 }
 
 /**
@@ -85,6 +174,27 @@ async function mangaExists(id) {
   return id in mangas;
 }
 
+/**
+ * Get the stored chapter list of a manga
+ * @param {string} id - Manga ID
+ * @returns {Promise<Array>} Chapters, newest first
+ */
+async function getChapters(id) {
+  const key = `${STORAGE_KEYS.CHAPTERS_PREFIX}${id}`;
+  const result = await chrome.storage.local.get(key);
+  return result[key] || [];
+}
+
+/**
+ * Save the chapter list of a manga
+ * @param {string} id - Manga ID
+ * @param {Array} chapters - Chapters, newest first
+ * @returns {Promise<void>}
+ */
+async function saveChapters(id, chapters) {
+  await chrome.storage.local.set({ [`${STORAGE_KEYS.CHAPTERS_PREFIX}${id}`]: chapters });
+}
+
 /**
  * Get settings
  * @returns {Promise<Object>}
@@ -100,97 +210,235 @@ async function getSettings() {
  * @returns {Promise<void>}
  */
 async function saveSettings(settings) {
-  const current = await getSettings();
-  await chrome.storage.local.set({
-    [STORAGE_KEYS.SETTINGS]: { ...current, ...settings }
+  await withStorageLock(async () => {
+    const current = await getSettings();
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SETTINGS]: { ...current, ...settings }
+    });
   });
 }
 
 /**
- * Get all updates
- * @returns {Promise<Array>}
+ * Get the unfinished check run, if any
+ * @returns {Promise<Object|null>}
  */
-async function getUpdates() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.UPDATES);
-  return result[STORAGE_KEYS.UPDATES] || [];
+async function getCheckJob() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CHECK_JOB);
+  return result[STORAGE_KEYS.CHECK_JOB] || null;
 }
 
 /**
- * Add an update notification
- * @param {Object} update - Update object
+ * Save the state of the running check
+ * @param {Object} job - Check job
  * @returns {Promise<void>}
  */
-async function addUpdate(update) {
-  const updates = await getUpdates();
+async function saveCheckJob(job) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.CHECK_JOB]: job });
+}
 
-  // Check if update for this manga already exists
-  const existingIndex = updates.findIndex(u => u.id === update.id);
-  if (existingIndex >= 0) {
-    // Update existing
-    updates[existingIndex] = update;
-  } else {
-    // Add new
-    updates.unshift(update);
-  }
+/**
+ * Forget the check run once it is finished
+ * @returns {Promise<void>}
+ */
+async function clearCheckJob() {
+  await chrome.storage.local.remove(STORAGE_KEYS.CHECK_JOB);
+}
 
-  // Keep only last 100 updates
-  const trimmed = updates.slice(0, 100);
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: trimmed });
+/**
+ * Get the outcome of the last finished check run
+ * @returns {Promise<Object|null>} `{finishedAt, checked, failed, downSites}`
+ */
+async function getLastCheckRun() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.LAST_CHECK_RUN);
+  return result[STORAGE_KEYS.LAST_CHECK_RUN] || null;
 }
 
 /**
- * Mark an update as read
- * @param {string} id - Manga ID
+ * Save the outcome of a check run
+ * @param {Object} run - `{finishedAt, checked, failed, downSites}`
+ * @returns {Promise<void>}
+ */
+async function saveLastCheckRun(run) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.LAST_CHECK_RUN]: run });
+}
+
+/**
+ * Keep notifications back until quiet hours end
+ * @param {Array} items - `{id, newChapter, chapterCount}` per updated manga
  * @returns {Promise<void>}
  */
-async function markUpdateRead(id) {
-  const updates = await getUpdates();
-  const updated = updates.map(u =>
-    u.id === id ? { ...u, isRead: true } : u
-  );
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: updated });
+async function holdNotifications(items) {
+  await withStorageLock(async () => {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.QUIET_NOTIFICATIONS);
+    const held = result[STORAGE_KEYS.QUIET_NOTIFICATIONS] || [];
+    await chrome.storage.local.set({ [STORAGE_KEYS.QUIET_NOTIFICATIONS]: [...held, ...items] });
+  });
 }
 
 /**
- * Mark all updates as read
+ * Get the notifications held back during quiet hours
+ * @returns {Promise<Array>}
+ */
+async function getHeldNotifications() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.QUIET_NOTIFICATIONS);
+  return result[STORAGE_KEYS.QUIET_NOTIFICATIONS] || [];
+}
+
+/**
+ * Remove and return the notifications held back during quiet hours
+ * @returns {Promise<Array>}
+ */
+async function takeHeldNotifications() {
+  return withStorageLock(async () => {
+    const held = await getHeldNotifications();
+    await chrome.storage.local.remove(STORAGE_KEYS.QUIET_NOTIFICATIONS);
+    return held;
+  });
+}
+
+/**
+ * Remember what a notification is about, for its click handlers
+ * Kept in session storage: notifications don't outlive the browser session.
+ * @param {string} notificationId - Notification ID
+ * @param {Object} payload - Notification payload
+ * @returns {Promise<void>}
+ */
+async function saveNotificationPayload(notificationId, payload) {
+  await chrome.storage.session.set({ [`${STORAGE_KEYS.NOTIFICATION_PREFIX}${notificationId}`]: payload });
+}
+
+/**
+ * Get what a notification is about
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object|null>}
+ */
+async function getNotificationPayload(notificationId) {
+  const key = `${STORAGE_KEYS.NOTIFICATION_PREFIX}${notificationId}`;
+  const result = await chrome.storage.session.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Forget a notification once it is closed
+ * @param {string} notificationId - Notification ID
  * @returns {Promise<void>}
  */
-async function markAllUpdatesRead() {
-  const updates = await getUpdates();
-  const updated = updates.map(u => ({ ...u, isRead: true }));
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: updated });
+async function removeNotificationPayload(notificationId) {
+  await chrome.storage.session.remove(`${STORAGE_KEYS.NOTIFICATION_PREFIX}${notificationId}`);
 }
 
 /**
- * Clear all updates
+ * Have the next popup open with a manga's snooze menu showing
+ * @param {string|null} mangaId - Manga ID, or null to forget it
  * @returns {Promise<void>}
  */
-async function clearUpdates() {
-  await chrome.storage.local.set({ [STORAGE_KEYS.UPDATES]: [] });
+async function setSnoozeFocus(mangaId) {
+  if (mangaId) {
+    await chrome.storage.session.set({ [STORAGE_KEYS.SNOOZE_FOCUS]: mangaId });
+  } else {
+    await chrome.storage.session.remove(STORAGE_KEYS.SNOOZE_FOCUS);
+  }
 }
 
 /**
- * Get unread update count
- * @returns {Promise<number>}
+ * Get the webhook deliveries waiting to be sent
+ * @returns {Promise<Array>}
  */
-async function getUnreadCount() {
-  const updates = await getUpdates();
-  return updates.filter(u => !u.isRead).length;
+async function getWebhookQueue() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.WEBHOOK_QUEUE);
+  return result[STORAGE_KEYS.WEBHOOK_QUEUE] || [];
+}
+
+/**
+ * Change the webhook queue under the storage lock
+ * @param {Function} change - Returns the new queue from the current one
+ * @returns {Promise<Array>} The saved queue
+ */
+async function updateWebhookQueue(change) {
+  return withStorageLock(async () => {
+    const queue = change(await getWebhookQueue());
+    await chrome.storage.local.set({ [STORAGE_KEYS.WEBHOOK_QUEUE]: queue });
+    return queue;
+  });
+}
+
+/**
+ * Count unread history entries, and the series they belong to
+ * Snoozed entries don't count until the snooze ends.
+ * @returns {Promise<{series: number, chapters: number}>}
+ */
+async function getUnreadCounts() {
+  const unread = (await getUnreadHistory()).filter(entry => !isSnoozed(entry));
+  return {
+    series: new Set(unread.map(entry => entry.id)).size,
+    chapters: unread.length
+  };
+}
+
+/**
+ * Run the migrations between the stored schema version and the current one
+ * Also moves history that earlier versions kept in chrome.storage.local
+ * into IndexedDB.
+ * @returns {Promise<number|null>} The version migrated from, null if already current
+ */
+async function migrateStorage() {
+  return withStorageLock(async () => {
+    const result = await chrome.storage.local.get([
+      STORAGE_KEYS.SCHEMA_VERSION,
+      STORAGE_KEYS.MANGAS,
+      STORAGE_KEYS.SETTINGS,
+      STORAGE_KEYS.UPDATES
+    ]);
+    const fromVersion = result[STORAGE_KEYS.SCHEMA_VERSION] || 1;
+    if (fromVersion >= SCHEMA_VERSION) return null;
+
+    const legacyUpdates = result[STORAGE_KEYS.UPDATES];
+    const migrated = migrateData({
+      version: fromVersion,
+      mangas: result[STORAGE_KEYS.MANGAS] || {},
+      settings: result[STORAGE_KEYS.SETTINGS] || {},
+      updates: legacyUpdates || await getAllHistory()
+    });
+
+    await replaceHistory(migrated.updates);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.MANGAS]: migrated.mangas,
+      [STORAGE_KEYS.SETTINGS]: migrated.settings,
+      [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION
+    });
+    if (legacyUpdates) {
+      await chrome.storage.local.remove(STORAGE_KEYS.UPDATES);
+    }
+    return fromVersion;
+  });
 }
 
 /**
  * Export all data as JSON
+ * Chapter lists are left out; the next check pages through the site again
+ * and rebuilds them. A selection leaves the settings out: it is the kind of file that gets
+ * shared, and settings hold webhook URLs.
+ * @param {string[]} [ids] - Only these manga and their history
  * @returns {Promise<Object>}
  */
-async function exportData() {
+async function exportData(ids) {
   const [mangas, settings, updates] = await Promise.all([
     getMangas(),
     getSettings(),
-    getUpdates()
+    getAllHistory()
   ]);
 
+  if (ids) {
+    return {
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      mangas: Object.fromEntries(Object.entries(mangas).filter(([id]) => ids.includes(id))),
+      updates: updates.filter(entry => ids.includes(entry.id))
+    };
+  }
+
   return {
-    version: 1,
+    version: SCHEMA_VERSION,
     exportedAt: new Date().toISOString(),
     mangas,
     settings,
@@ -200,38 +448,40 @@ async function exportData() {
 
 /**
  * Import data from JSON
+ * Backups from older versions are migrated to the current schema first.
  * @param {Object} data - Data to import
  * @param {boolean} merge - Whether to merge with existing data
  * @returns {Promise<void>}
  */
 async function importData(data, merge = false) {
-  if (!data || data.version !== 1) {
+  if (!data || typeof data.mangas !== 'object') {
     throw new Error('Invalid data format');
   }
 
+  data = migrateData(data);
+  const updates = data.updates || [];
+
   if (merge) {
     // Merge with existing data
-    const existingMangas = await getMangas();
-    const mergedMangas = { ...existingMangas, ...data.mangas };
-
-    const existingUpdates = await getUpdates();
-    const newUpdateIds = new Set(existingUpdates.map(u => `${u.id}-${u.detectedAt}`));
-    const uniqueNewUpdates = data.updates.filter(u =>
-      !newUpdateIds.has(`${u.id}-${u.detectedAt}`)
-    );
-    const mergedUpdates = [...uniqueNewUpdates, ...existingUpdates].slice(0, 100);
-
-    await chrome.storage.local.set({
-      [STORAGE_KEYS.MANGAS]: mergedMangas,
-      [STORAGE_KEYS.UPDATES]: mergedUpdates
+    await updateMangas((mangas) => {
+      Object.assign(mangas, data.mangas);
     });
+    await addHistoryEntries(updates);
   } else {
-    // Replace all data
-    await chrome.storage.local.set({
-      [STORAGE_KEYS.MANGAS]: data.mangas || {},
-      [STORAGE_KEYS.SETTINGS]: data.settings || DEFAULT_SETTINGS,
-      [STORAGE_KEYS.UPDATES]: data.updates || []
+    // Replace all data; a selection export carries no settings, so the
+    // current ones stay
+    const mangas = data.mangas || {};
+    await withStorageLock(async () => {
+      const previous = await getMangas();
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.MANGAS]: mangas,
+        ...(data.settings && { [STORAGE_KEYS.SETTINGS]: data.settings })
+      });
+      // Drop the chapter lists of manga the backup doesn't have
+      const removed = Object.keys(previous).filter(id => !(id in mangas));
+      await chrome.storage.local.remove(removed.map(id => `${STORAGE_KEYS.CHAPTERS_PREFIX}${id}`));
     });
+    await replaceHistory(updates);
   }
 }
 
@@ -240,20 +490,35 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     STORAGE_KEYS,
     DEFAULT_SETTINGS,
+    withStorageLock,
     getMangas,
     getManga,
+    updateMangas,
     saveManga,
     deleteManga,
+    deleteMangas,
     updateManga,
     mangaExists,
+    getChapters,
+    saveChapters,
     getSettings,
     saveSettings,
-    getUpdates,
-    addUpdate,
-    markUpdateRead,
-    markAllUpdatesRead,
-    clearUpdates,
-    getUnreadCount,
+    getCheckJob,
+    saveCheckJob,
+    clearCheckJob,
+    getLastCheckRun,
+    saveLastCheckRun,
+    holdNotifications,
+    getHeldNotifications,
+    takeHeldNotifications,
+    saveNotificationPayload,
+    getNotificationPayload,
+    removeNotificationPayload,
+    setSnoozeFocus,
+    getWebhookQueue,
+    updateWebhookQueue,
+    getUnreadCounts,
+    migrateStorage,
     exportData,
     importData
   };
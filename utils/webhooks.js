@@ -0,0 +1,114 @@
+/**
+ * Outgoing webhooks
+ * Builds the request body for each supported format and posts it
+ */
+
+const WEBHOOK_FORMATS = {
+  discord: 'Discord',
+  slack: 'Slack',
+  json: 'JSON'
+};
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_USERNAME = 'Raw Notification Center';
+
+/**
+ * Build the body posted for one update
+ * @param {string} format - Key of WEBHOOK_FORMATS
+ * @param {Object} update - `{mangaId, site, title, chapter, chapterNum, chapterUrl, chapterCount, mangaUrl, cover, detectedAt}`
+ * @returns {Object} JSON body
+ */
+function buildWebhookBody(format, update) {
+  const summary = update.chapterCount > 1
+    ? `${update.chapterCount} new chapters, latest: ${update.chapter}`
+    : `New chapter: ${update.chapter}`;
+
+  switch (format) {
+    case 'discord':
+      return {
+        username: WEBHOOK_USERNAME,
+        embeds: [{
+          title: update.title,
+          url: update.chapterUrl,
+          description: summary,
+          ...(update.cover ? { thumbnail: { url: update.cover } } : {}),
+          timestamp: new Date(update.detectedAt).toISOString()
+        }]
+      };
+
+    case 'slack':
+      return {
+        text: `${update.title}: ${summary}`,
+        blocks: [{
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*<${update.chapterUrl}|${escapeSlackText(update.title)}>*\n${escapeSlackText(summary)}`
+          },
+          ...(update.cover ? { accessory: { type: 'image', image_url: update.cover, alt_text: update.title } } : {})
+        }]
+      };
+
+    case 'json':
+      return { event: 'chapter.released', ...update };
+
+    default:
+      throw new Error(`Unknown webhook format: ${format}`);
+  }
+}
+
+/**
+ * Escape the characters Slack treats as markup
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeSlackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Post one update to a webhook
+ * @param {Object} webhook - `{url, format}`
+ * @param {Object} update - See buildWebhookBody
+ * @returns {Promise<void>} Rejects when the endpoint doesn't answer with 2xx
+ */
+async function postWebhook(webhook, update) {
+  let response;
+  try {
+    response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildWebhookBody(webhook.format, update)),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Webhook timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+}
+
+/**
+ * Host permission pattern needed to post to a webhook URL
+ * @param {string} url - Webhook URL
+ * @returns {string}
+ */
+function getWebhookOrigin(url) {
+  const { protocol, hostname } = new URL(url);
+  return `${protocol}//${hostname}/*`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WEBHOOK_FORMATS,
+    buildWebhookBody,
+    postWebhook,
+    getWebhookOrigin
+  };
+}